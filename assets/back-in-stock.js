@@ -0,0 +1,144 @@
+/**
+ * Back In Stock Web Component
+ *
+ * "Notify me" form for a sold-out variant, swapped in with the product
+ * page's buy-buttons region (so it follows variant changes through
+ * ProductForm's section render). It lives inside the product <form> and
+ * can't nest a form of its own, so it posts to Shopify's customer form
+ * endpoint (/contact, form_type=customer) itself, tagging the customer
+ * with the variant ID and product handle for the merchant's restock
+ * emails. Enter in the email field submits this form, not the add-to-cart.
+ *
+ * Requested variant IDs are remembered in localStorage, so the form shows
+ * the confirmation straight away when the customer comes back to the
+ * variant, on this visit or a later one.
+ *
+ * Expected markup:
+ *   <back-in-stock data-variant-id="123" data-tags="back-in-stock,variant-123,product-chair"
+ *     data-error-text="Something went wrong">
+ *     <div data-fields>
+ *       <input type="email" data-email required>
+ *       <button type="button" data-submit>Notify me</button>
+ *     </div>
+ *     <p data-success hidden>We'll email you...</p>
+ *     <p data-error role="alert" hidden></p>
+ *   </back-in-stock>
+ */
+class BackInStock extends HTMLElement {
+  static storageKey = 'back-in-stock-requests';
+
+  connectedCallback() {
+    this.fields = this.querySelector('[data-fields]');
+    this.emailInput = this.querySelector('[data-email]');
+    this.submitButton = this.querySelector('[data-submit]');
+    this.successMessage = this.querySelector('[data-success]');
+    this.errorMessage = this.querySelector('[data-error]');
+    this.variantId = this.dataset.variantId;
+
+    if (BackInStock.getRequested().includes(this.variantId)) {
+      this.showSuccess();
+      return;
+    }
+
+    this.submitButton?.addEventListener('click', () => this.submit());
+    this.emailInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submit();
+      }
+    });
+  }
+
+  /**
+   * Post the email to the customer form endpoint with the restock tags.
+   */
+  async submit() {
+    this.clearError();
+
+    if (!this.emailInput.checkValidity()) {
+      this.emailInput.setAttribute('aria-invalid', 'true');
+      this.showError(this.emailInput.validationMessage);
+      this.emailInput.focus();
+      return;
+    }
+
+    this.submitButton.classList.add('is-loading');
+    this.submitButton.disabled = true;
+
+    const body = new FormData();
+    body.append('form_type', 'customer');
+    body.append('utf8', '✓');
+    body.append('contact[email]', this.emailInput.value.trim());
+    body.append('contact[tags]', this.dataset.tags);
+
+    try {
+      const response = await fetch('/contact', { method: 'POST', body });
+
+      // Shopify redirects a successful customer post to ?customer_posted=true;
+      // errors re-render the page with the form's errors instead
+      if (!response.ok || !response.url.includes('customer_posted=true')) {
+        throw new Error(this.dataset.errorText);
+      }
+
+      BackInStock.remember(this.variantId);
+      this.showSuccess();
+    } catch (error) {
+      this.showError(this.dataset.errorText || error.message);
+    } finally {
+      this.submitButton.classList.remove('is-loading');
+      this.submitButton.disabled = false;
+    }
+  }
+
+  showSuccess() {
+    if (this.fields) this.fields.hidden = true;
+    if (this.successMessage) this.successMessage.hidden = false;
+  }
+
+  /**
+   * @param {string} message
+   */
+  showError(message) {
+    if (this.errorMessage) {
+      this.errorMessage.textContent = message;
+      this.errorMessage.hidden = false;
+    }
+  }
+
+  clearError() {
+    this.emailInput?.removeAttribute('aria-invalid');
+    if (this.errorMessage) {
+      this.errorMessage.textContent = '';
+      this.errorMessage.hidden = true;
+    }
+  }
+
+  /**
+   * @returns {string[]} Variant IDs the customer has asked to be notified about.
+   */
+  static getRequested() {
+    try {
+      return JSON.parse(localStorage.getItem(BackInStock.storageKey)) || [];
+    } catch {
+      // Storage unavailable or the entry is corrupt: treat as none requested
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} variantId
+   */
+  static remember(variantId) {
+    const requested = BackInStock.getRequested();
+    if (requested.includes(variantId)) return;
+
+    requested.push(variantId);
+    try {
+      localStorage.setItem(BackInStock.storageKey, JSON.stringify(requested));
+    } catch {
+      // Storage unavailable (private mode, quota): the form just shows again
+    }
+  }
+}
+
+customElements.define('back-in-stock', BackInStock);
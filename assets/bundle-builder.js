@@ -0,0 +1,142 @@
+/**
+ * Bundle Builder Web Component
+ *
+ * Lets customers buy a bundle's components with their own variant picks.
+ * Each component row has a variant select (or a hidden input for
+ * single-variant products) whose options carry data-price (cents) and
+ * data-available; the combined price updates live as picks change,
+ * formatted with the cart store's formatMoney().
+ *
+ * Adds every component through the cart store in one /cart/add.js items
+ * array. All lines share a _bundle property (the bundle handle plus a
+ * per-add suffix, so separate adds stay separate groups), with the bundle
+ * title and each component's per-bundle quantity in _bundle_title and
+ * _bundle_qty for the cart's grouped display. The add requests every
+ * registered cart section, like ProductForm.
+ *
+ * Expected markup:
+ *   <bundle-builder data-bundle-handle="desk-set" data-bundle-title="Desk set"
+ *     data-error-text="...">
+ *     <li data-component data-quantity="2">
+ *       <select data-variant-select>
+ *         <option value="123" data-price="4500" data-available="true">Oak</option>
+ *       </select>
+ *     </li>
+ *     <span data-total>$90.00</span>
+ *     <button type="button" data-add data-add-text="..." data-sold-text="...">Add bundle</button>
+ *     <p data-error hidden></p>
+ *   </bundle-builder>
+ */
+class BundleBuilder extends HTMLElement {
+  connectedCallback() {
+    this.addButton = this.querySelector('[data-add]');
+    this.totalElement = this.querySelector('[data-total]');
+    this.errorContainer = this.querySelector('[data-error]');
+
+    this.addEventListener('change', (e) => {
+      if (e.target.matches('[data-variant-select]')) this.update();
+    });
+    this.addButton?.addEventListener('click', () => this.handleAdd());
+
+    this.update();
+  }
+
+  /**
+   * The picked variant of every component row.
+   * @returns {Array<{ id: number, quantity: number, price: number, available: boolean }>}
+   */
+  getSelections() {
+    return [...this.querySelectorAll('[data-component]')].map((row) => {
+      const field = row.querySelector('[data-variant-select]');
+      const source = field.selectedOptions?.[0] || field;
+
+      return {
+        id: parseInt(field.value),
+        quantity: parseInt(row.dataset.quantity) || 1,
+        price: parseInt(source.dataset.price) || 0,
+        available: source.dataset.available === 'true'
+      };
+    });
+  }
+
+  /**
+   * Re-render the combined price and the add button's state.
+   */
+  update() {
+    const selections = this.getSelections();
+    const total = selections.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const available = selections.every((item) => item.available);
+
+    if (this.totalElement) {
+      this.totalElement.textContent = window.cartStore.formatMoney(total);
+    }
+
+    if (this.addButton) {
+      this.addButton.disabled = !available;
+      this.addButton.textContent = available
+        ? this.addButton.dataset.addText
+        : this.addButton.dataset.soldText;
+    }
+  }
+
+  /**
+   * Add all components in one request, tagged as one bundle.
+   */
+  async handleAdd() {
+    this.clearError();
+    this.addButton.classList.add('is-loading');
+    this.addButton.disabled = true;
+
+    const bundleId = `${this.dataset.bundleHandle}-${Date.now().toString(36)}`;
+
+    // Two rows with the same variant would merge into one line anyway
+    const quantities = new Map();
+    this.getSelections().forEach(({ id, quantity }) => {
+      quantities.set(id, (quantities.get(id) || 0) + quantity);
+    });
+
+    const items = [...quantities].map(([id, quantity]) => ({
+      id,
+      quantity,
+      properties: {
+        _bundle: bundleId,
+        _bundle_title: this.dataset.bundleTitle,
+        _bundle_qty: String(quantity)
+      }
+    }));
+
+    try {
+      await window.cartStore.add(items, {
+        sections: window.cartStore.renderedSections()
+      });
+
+      if (document.body.dataset.cartType === 'page') {
+        window.location.href = '/cart';
+      }
+    } catch (error) {
+      this.showError(error.message || this.dataset.errorText);
+    } finally {
+      this.addButton.classList.remove('is-loading');
+      this.update();
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  showError(message) {
+    if (this.errorContainer) {
+      this.errorContainer.textContent = message;
+      this.errorContainer.hidden = false;
+    }
+  }
+
+  clearError() {
+    if (this.errorContainer) {
+      this.errorContainer.textContent = '';
+      this.errorContainer.hidden = true;
+    }
+  }
+}
+
+customElements.define('bundle-builder', BundleBuilder);
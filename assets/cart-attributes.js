@@ -0,0 +1,108 @@
+/**
+ * Cart Attributes Web Component
+ * Cart event protocol: .claude/conventions/commerce.md
+ *
+ * Saves the order note and any cart attributes (fields named
+ * attributes[Key]) as the shopper types. Changes are collected per field,
+ * debounced, and sent through the cart store as one /cart/update.js call,
+ * so the store's 'cart:updated' notification keeps every other component
+ * in sync. Shows saving / saved / failed status in a polite live region;
+ * a failed save is retried with the next edit.
+ *
+ * Saves are tagged with source 'cart-attributes' and request no section
+ * HTML, so nothing re-renders under the shopper's cursor. The component
+ * must sit outside every re-rendered region (the drawer's swapped regions,
+ * the cart page's <cart-items>) to keep focus and unsaved text while
+ * typing. It's rendered even for an empty cart and hides itself whenever
+ * the cart has no items.
+ *
+ * Expected markup:
+ *   <cart-attributes data-saving-text="Saving…" data-saved-text="Saved"
+ *     data-error-text="Couldn't save">
+ *     <textarea name="note"></textarea>
+ *     <textarea name="attributes[Gift message]"></textarea>
+ *     <input type="date" name="attributes[Delivery date]">
+ *     <p data-status aria-live="polite"></p>
+ *   </cart-attributes>
+ */
+class CartAttributes extends HTMLElement {
+  connectedCallback() {
+    this.status = this.querySelector('[data-status]');
+    this.pending = {};
+    this.debounceTimer = null;
+
+    this.addEventListener('input', (e) => {
+      if (e.target.name) this.stage(e.target);
+    });
+
+    this._unsubscribe = window.cartStore.subscribe(({ cart }) => {
+      this.hidden = !cart?.item_count;
+    });
+  }
+
+  disconnectedCallback() {
+    this._unsubscribe?.();
+
+    // Removed mid-edit (the theme editor reloading the section): save now
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.save();
+    }
+  }
+
+  /**
+   * Record a field's value and restart the save debounce.
+   * @param {HTMLInputElement|HTMLTextAreaElement} field
+   */
+  stage(field) {
+    const attribute = field.name.match(/^attributes\[(.+)\]$/);
+
+    if (field.name === 'note') {
+      this.pending.note = field.value;
+    } else if (attribute) {
+      this.pending.attributes = { ...this.pending.attributes, [attribute[1]]: field.value };
+    } else {
+      return;
+    }
+
+    this.setStatus('');
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.save(), 600);
+  }
+
+  /**
+   * Send pending changes through the cart store.
+   */
+  async save() {
+    this.debounceTimer = null;
+
+    const payload = this.pending;
+    this.pending = {};
+    this.setStatus(this.dataset.savingText);
+
+    try {
+      await window.cartStore.update(payload, { source: 'cart-attributes' });
+      this.setStatus(this.dataset.savedText);
+    } catch {
+      // Keep the failed values (unless edited since) for the next save
+      this.pending = {
+        ...payload,
+        ...this.pending,
+        attributes: { ...payload.attributes, ...this.pending.attributes }
+      };
+      this.setStatus(this.dataset.errorText, true);
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @param {boolean} [isError]
+   */
+  setStatus(message, isError = false) {
+    if (!this.status) return;
+    this.status.textContent = message || '';
+    this.status.classList.toggle('is-error', isError);
+  }
+}
+
+customElements.define('cart-attributes', CartAttributes);
@@ -0,0 +1,151 @@
+/**
+ * Cart Discount Web Component
+ * Cart event protocol: .claude/conventions/commerce.md
+ *
+ * Discount code field inside cart-totals. Applies and removes codes through
+ * the cart store (POST /cart/update.js with a comma-separated `discount`),
+ * requesting the surrounding section's HTML in the same call (bundled
+ * section rendering) so totals and line prices re-render from one response.
+ * Applied codes render server-side as removable pills.
+ *
+ * Shopify doesn't reject unknown or inapplicable codes — it returns them in
+ * cart.discount_codes with applicable: false — so the response is checked
+ * and an inline error shown. Only applicable codes are kept on the next
+ * apply/remove.
+ *
+ * The component lives inside the swapped region (drawer [data-checkout] or
+ * the cart page's <cart-items>), so after a re-render the error and focus
+ * are restored on the replacement instance.
+ *
+ * Expected markup:
+ *   <cart-discount data-section-id="cart-drawer"
+ *     data-invalid-template='"__CODE__" isn't valid' data-error-text="...">
+ *     <input data-discount-input>
+ *     <button type="button" data-discount-apply>Apply</button>
+ *     <p data-discount-error role="alert" hidden></p>
+ *     <button type="button" data-remove-discount="CODE">CODE</button>
+ *   </cart-discount>
+ */
+class CartDiscount extends HTMLElement {
+  connectedCallback() {
+    this.input = this.querySelector('[data-discount-input]');
+    this.applyButton = this.querySelector('[data-discount-apply]');
+    this.errorContainer = this.querySelector('[data-discount-error]');
+    this.sectionId = this.dataset.sectionId || 'cart-drawer';
+    this.root = this.closest('cart-drawer, cart-items');
+
+    this.applyButton?.addEventListener('click', () => this.apply());
+
+    // Enter applies the code instead of submitting the surrounding cart form
+    this.input?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.apply();
+      }
+    });
+
+    this.addEventListener('click', (e) => {
+      const pill = e.target.closest('[data-remove-discount]');
+      if (pill) this.remove(pill.dataset.removeDiscount);
+    });
+  }
+
+  /**
+   * Codes currently applied, read from the server-rendered pills.
+   * @returns {string[]}
+   */
+  get appliedCodes() {
+    return Array.from(this.querySelectorAll('[data-remove-discount]'), (pill) => pill.dataset.removeDiscount);
+  }
+
+  async apply() {
+    const code = this.input?.value.trim();
+    if (!code) return;
+
+    this.clearError();
+    this.applyButton?.classList.add('is-loading');
+
+    const codes = this.appliedCodes.filter((applied) => applied.toLowerCase() !== code.toLowerCase());
+    const detail = await this.submit([...codes, code]);
+    if (!detail) return;
+
+    const result = detail.cart.discount_codes?.find(
+      (discount) => discount.code.toLowerCase() === code.toLowerCase()
+    );
+
+    if (!result?.applicable) {
+      this.current.showError(this.dataset.invalidTemplate.replace('__CODE__', code), code);
+    }
+  }
+
+  /**
+   * @param {string} code
+   */
+  async remove(code) {
+    this.clearError();
+    await this.submit(this.appliedCodes.filter((applied) => applied !== code));
+  }
+
+  /**
+   * Send the full list of codes and render the bundled section response.
+   * @param {string[]} codes
+   * @returns {Promise<Object|null>} Cart store payload, or null on failure.
+   */
+  async submit(codes) {
+    this.classList.add('is-loading');
+
+    try {
+      const detail = await window.cartStore.update(
+        { discount: codes.join(',') },
+        { sections: [this.sectionId] }
+      );
+
+      // Inside the drawer, cart-drawer's subscriber has already re-rendered.
+      // On the cart page, ask the surrounding cart-items to swap its content.
+      if (!this.closest('cart-drawer') && detail.settled) {
+        this.root?.renderFromSections(detail.sections);
+      }
+
+      return detail;
+    } catch {
+      this.current.showError(this.dataset.errorText);
+      return null;
+    } finally {
+      this.classList.remove('is-loading');
+      this.applyButton?.classList.remove('is-loading');
+    }
+  }
+
+  /**
+   * This element, or the instance that replaced it after a section swap.
+   * @returns {CartDiscount}
+   */
+  get current() {
+    if (this.isConnected) return this;
+    return this.root?.querySelector('cart-discount') || this;
+  }
+
+  /**
+   * Show an inline error and return focus to the code field.
+   * @param {string} message
+   * @param {string} [code] - Put back in the field so it can be corrected.
+   */
+  showError(message, code) {
+    if (code && this.input) this.input.value = code;
+    this.input?.focus();
+
+    if (this.errorContainer) {
+      this.errorContainer.textContent = message;
+      this.errorContainer.hidden = false;
+    }
+  }
+
+  clearError() {
+    if (this.errorContainer) {
+      this.errorContainer.textContent = '';
+      this.errorContainer.hidden = true;
+    }
+  }
+}
+
+customElements.define('cart-discount', CartDiscount);
@@ -4,11 +4,14 @@
  * Accessibility (focus trap, ARIA): .claude/conventions/accessibility.md
  *
  * Top-slide drawer that displays the cart contents. Opens automatically
- * on add-to-cart and via the cart icon. On 'cart:updated', uses the pre-rendered
- * section HTML from the event (bundled section rendering, zero extra fetches).
- * On 'cart:item-added', falls back to a standalone section fetch since the
- * product form doesn't include section data. Implements focus trapping and
- * keyboard navigation.
+ * on add-to-cart and via the cart icon. Subscribes to the cart store
+ * (cart-store.js): when a change includes pre-rendered 'cart-drawer' HTML
+ * (bundled section rendering), swaps it in with zero extra fetches;
+ * otherwise falls back to a standalone section fetch. The drawer registers
+ * its section ID with the store, so product form and quick add requests
+ * carry its HTML and the drawer opens without a second round trip. Store
+ * changes with action 'add' also open the drawer. Implements focus
+ * trapping and keyboard navigation.
  *
  * Expected markup:
  *   <cart-drawer id="cart-drawer" aria-hidden="true" role="dialog"
@@ -39,21 +42,12 @@ class CartDrawer extends HTMLElement {
     // Backdrop click closes drawer
     this.backdrop?.addEventListener('click', () => this.close());
 
-    // Listen for cart events
-    this._onItemAdded = () => this.refresh().then(() => this.open());
-    this._onCartUpdated = (e) => {
-      const html = e.detail?.sections?.['cart-drawer'];
-      if (html) {
-        this.renderFromHTML(html);
-      } else if (this.isOpen) {
-        this.refresh();
-      } else {
-        this.stale = true;
-      }
-    };
-
-    document.addEventListener('cart:item-added', this._onItemAdded);
-    document.addEventListener('cart:updated', this._onCartUpdated);
+    // Re-render from every cart store change; registering the section ID
+    // lets adders request this drawer's HTML in the add response
+    this._unsubscribe = window.cartStore.subscribe(
+      (detail) => this.handleCartChange(detail),
+      { sections: [this.id || 'cart-drawer'] }
+    );
 
     if (Shopify.designMode) {
       this._onSectionSelect = (e) => { if (e.target.contains(this)) this.open(); };
@@ -64,8 +58,7 @@ class CartDrawer extends HTMLElement {
   }
 
   disconnectedCallback() {
-    document.removeEventListener('cart:item-added', this._onItemAdded);
-    document.removeEventListener('cart:updated', this._onCartUpdated);
+    this._unsubscribe?.();
 
     if (Shopify.designMode) {
       document.removeEventListener('shopify:section:select', this._onSectionSelect);
@@ -73,6 +66,40 @@ class CartDrawer extends HTMLElement {
     }
   }
 
+  /**
+   * React to a cart store change. Adds open the drawer once it has fresh
+   * content (except lines restored by cart-items' undo, which happen inside
+   * a cart that's already visible); other changes re-render only if the
+   * drawer is visible, and otherwise mark it stale so the next open()
+   * refreshes. Unsettled changes are skipped — a newer mutation will carry
+   * the final state — and so are note/attribute saves, which change nothing
+   * the drawer renders.
+   * @param {Object} detail - Cart store payload ({ action, source, cart, sections, settled }).
+   */
+  handleCartChange({ action, source, sections, settled }) {
+    if (source === 'cart-attributes') return;
+
+    const opens = action === 'add' && source !== 'cart-items';
+
+    if (!settled) {
+      if (opens) this.open();
+      return;
+    }
+
+    const html = sections?.[this.id || 'cart-drawer'];
+
+    if (html) {
+      this.renderFromHTML(html);
+      if (opens) this.open();
+    } else if (opens) {
+      this.refresh().then(() => this.open());
+    } else if (this.isOpen) {
+      this.refresh();
+    } else {
+      this.stale = true;
+    }
+  }
+
   /**
    * Whether the drawer is currently open.
    * @returns {boolean}
@@ -156,9 +183,8 @@ class CartDrawer extends HTMLElement {
 
   /**
    * Fetch fresh section HTML via AJAX section rendering and swap the DOM.
-   * Used for 'cart:item-added' events where no bundled section data is
-   * available, and as a fallback when the drawer is open but the event
-   * doesn't include cart-drawer section HTML.
+   * Fallback for cart store changes that don't include cart-drawer
+   * section HTML.
    */
   async refresh() {
     this.classList.add('is-loading');
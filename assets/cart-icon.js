@@ -2,8 +2,9 @@
  * Cart Icon Web Component
  *
  * Displays cart item count in the header. When cart type is 'drawer', intercepts
- * click to open the cart drawer instead of navigating to /cart. Listens for
- * 'cart:item-added' and 'cart:updated' events to keep the count in sync.
+ * click to open the cart drawer instead of navigating to /cart. Subscribes
+ * to the cart store (cart-store.js) and renders the count from its cart
+ * JSON, so no extra /cart.js request is needed after an add.
  *
  * Uses a data-aria-template attribute (populated via Liquid translation) to
  * keep the aria-label localized when the count updates dynamically.
@@ -31,39 +32,14 @@ class CartIcon extends HTMLElement {
       });
     }
 
-    // Listen for cart events to keep count updated (named for cleanup)
-    this._onItemAdded = () => this.fetchCartCount();
-    this._onCartUpdated = (e) => {
-      if (e.detail?.cart) {
-        this.updateCount(e.detail.cart.item_count);
-      }
-    };
-
-    document.addEventListener('cart:item-added', this._onItemAdded);
-    document.addEventListener('cart:updated', this._onCartUpdated);
+    // Keep the count in sync with the cart store
+    this._unsubscribe = window.cartStore.subscribe(({ cart }) => {
+      this.updateCount(cart.item_count);
+    });
   }
 
   disconnectedCallback() {
-    document.removeEventListener('cart:item-added', this._onItemAdded);
-    document.removeEventListener('cart:updated', this._onCartUpdated);
-  }
-
-  /**
-   * Fetch the current cart state to get the accurate item count.
-   * Used after 'cart:item-added' since that event may not include total count.
-   */
-  async fetchCartCount() {
-    try {
-      const response = await fetch('/cart.js', {
-        headers: { 'X-Requested-With': 'XMLHttpRequest' }
-      });
-      if (response.ok) {
-        const cart = await response.json();
-        this.updateCount(cart.item_count);
-      }
-    } catch {
-      // Silently fail — count will update on next interaction
-    }
+    this._unsubscribe?.();
   }
 
   /**
@@ -3,16 +3,46 @@
  *
  * Manages cart line item interactions: quantity changes and item removal.
  * Uses event delegation for change/click events on quantity inputs and
- * remove buttons. After updating via /cart/change.js, dispatches
- * 'cart:updated' with both cart data and pre-rendered section HTML
- * (Shopify bundled section rendering). Self-renders only on the cart
- * page; inside the cart drawer, the drawer handles the section swap.
+ * remove buttons. Quantities are staged in the cart store (cart-store.js),
+ * which debounces per line and batches every pending change into one
+ * /cart/update.js call, requesting this section's pre-rendered HTML in the
+ * same response (Shopify bundled section rendering); the store notifies
+ * every other component. Self-renders only on the cart page, and only from
+ * settled responses so the last-written state wins; inside the cart
+ * drawer, the drawer handles the section swap. On the cart page it also
+ * registers its section with the store, so adds made elsewhere on the page
+ * carry its HTML and it re-renders from that response.
+ *
+ * Quantity changes are optimistic: the row's inputs, line price and the
+ * subtotal update immediately from the store's cart JSON. If Shopify
+ * rejects the change, the row rolls back to the server state and shows
+ * the reason inline (Shopify's own message for 422 stock errors). Other
+ * lines from the same batch are unaffected: the store resends them on
+ * their own.
+ *
+ * Removing a line leaves a transient "Removed — Undo" row at its position
+ * for a few seconds, announced through the section's live region
+ * ([data-cart-status]). Undo re-adds the same variant, quantity, line-item
+ * properties and selling plan via /cart/add.js. Shopify lists re-added
+ * lines as newest, so the restored row is moved back into its original
+ * slot client-side.
+ *
+ * Lines sharing a _bundle property render as one group (cart-bundle.liquid)
+ * with a single quantity selector and remove button. Changing the bundle's
+ * quantity stages every member at its per-bundle unit times the new count,
+ * and the store sends them in the same /cart/update.js call, so members
+ * always change together. The open state of a group's member list survives
+ * re-renders.
  *
  * Expected markup:
- *   <cart-items data-section-id="main-cart">   (cart page)
- *   <cart-items>                                (inside cart-drawer)
+ *   <cart-items data-section-id="main-cart" data-error-message="..."
+ *     data-removed-template="Removed __TITLE__" data-restored-template="__TITLE__ restored"
+ *     data-undo-text="Undo">                                             (cart page)
+ *   <cart-items data-error-message="..." ...>                            (inside cart-drawer)
  *     <div class="cart-items">
- *       <div class="cart-item" data-key="variant_key:hash">
+ *       <div class="cart-item-row" data-key="variant_key:hash">
+ *         <span data-line-price>$20.00</span>
+ *         <p data-line-error role="alert" hidden></p>
  *         <quantity-selector>
  *           <input type="number" data-key="variant_key:hash" ...>
  *         </quantity-selector>
@@ -20,20 +50,69 @@
  *           <svg>...</svg>
  *         </button>
  *       </div>
+ *       <div class="cart-bundle" data-bundle="desk-set-lx2k">
+ *         <span data-bundle-price>$90.00</span>
+ *         <input type="number" data-bundle="desk-set-lx2k" ...>
+ *         <button data-remove-bundle="desk-set-lx2k">Remove</button>
+ *         <details data-bundle-details>
+ *           <li data-bundle-line="variant_key:hash" data-unit="2">
+ *             <span data-member-quantity>×2</span>
+ *           </li>
+ *         </details>
+ *       </div>
  *     </div>
  *   </cart-items>
  */
 class CartItems extends HTMLElement {
+  /**
+   * Lines removed within the undo window, keyed by line key. Shared across
+   * instances because the drawer replaces its <cart-items> on every render.
+   * `index` is the row's slot in the rendered list, not its cart line index.
+   * @type {Map<string, { item: Object, index: number, sectionId: string, timer: number }>}
+   */
+  static removedLines = new Map();
+
+  /**
+   * Bundle IDs whose member list the customer has expanded.
+   * @type {Set<string>}
+   */
+  static openBundles = new Set();
+
   connectedCallback() {
-    this.debounceTimer = null;
     this.sectionId = this.dataset.sectionId || 'cart-drawer';
     this.insideDrawer = !!this.closest('cart-drawer');
+    // Kept for announcements after a drawer render has replaced this element
+    this.statusScope = this.closest('cart-drawer') || this.closest('.cart-page');
+
+    // Re-rendered inside the drawer: bring back any pending undo rows
+    // and expanded bundle groups
+    this.restoreUndoRows();
+    this.restoreOpenBundles();
+    this.trackBundleToggles();
+
+    // On the cart page, re-render from adds made elsewhere (quick add,
+    // upsells), whose responses carry this section's HTML. Inside the
+    // drawer, cart-drawer owns the render.
+    if (!this.insideDrawer) {
+      this._unsubscribe = window.cartStore.subscribe(
+        (detail) => this.handleCartChange(detail),
+        { sections: [this.sectionId] }
+      );
+    }
 
     // Delegate change events from quantity inputs (inside quantity-selector)
     this.addEventListener('change', (e) => {
       const input = e.target.closest('input[type="number"]');
+      if (input && input.dataset.bundle) {
+        this.updateBundle(input.dataset.bundle, parseInt(input.value));
+        return;
+      }
+
       if (input && input.dataset.key) {
-        this.debouncedUpdate(input.dataset.key, parseInt(input.value));
+        const quantity = parseInt(input.value);
+        this.clearLineError(input.dataset.key);
+        this.renderLine(input.dataset.key, quantity);
+        this.updateItem(input.dataset.key, quantity);
       }
     });
 
@@ -42,76 +121,511 @@ class CartItems extends HTMLElement {
       const removeButton = e.target.closest('[data-remove]');
       if (removeButton) {
         e.preventDefault();
-        this.updateItem(removeButton.dataset.remove, 0);
+        this.removeItem(removeButton.dataset.remove);
+        return;
+      }
+
+      const removeBundleButton = e.target.closest('[data-remove-bundle]');
+      if (removeBundleButton) {
+        e.preventDefault();
+        this.updateBundle(removeBundleButton.dataset.removeBundle, 0, { immediate: true });
+        return;
+      }
+
+      const undoButton = e.target.closest('[data-undo]');
+      if (undoButton) {
+        e.preventDefault();
+        this.undoRemove(undoButton.dataset.undo);
       }
     });
   }
 
+  disconnectedCallback() {
+    this._unsubscribe?.();
+  }
+
   /**
-   * Debounce quantity updates to prevent rapid-fire requests when the user
-   * clicks +/- quickly. Waits 300ms after the last change before sending.
-   * @param {string} key - The cart line item key.
-   * @param {number} quantity - The new quantity.
+   * Remember which bundle groups are expanded ('toggle' doesn't bubble).
    */
-  debouncedUpdate(key, quantity) {
-    clearTimeout(this.debounceTimer);
-    this.debounceTimer = setTimeout(() => {
-      this.updateItem(key, quantity);
-    }, 300);
+  trackBundleToggles() {
+    this.addEventListener('toggle', (e) => {
+      const group = e.target.closest?.('[data-bundle]');
+      if (!e.target.matches?.('[data-bundle-details]') || !group) return;
+
+      if (e.target.open) CartItems.openBundles.add(group.dataset.bundle);
+      else CartItems.openBundles.delete(group.dataset.bundle);
+    }, true);
+  }
+
+  /**
+   * Re-open bundle groups the customer had expanded before a render.
+   */
+  restoreOpenBundles() {
+    this.querySelectorAll('.cart-bundle[data-bundle]').forEach((group) => {
+      const details = group.querySelector('[data-bundle-details]');
+      if (details && CartItems.openBundles.has(group.dataset.bundle)) details.open = true;
+    });
   }
 
   /**
-   * Update a cart line item quantity via POST to /cart/change.js.
-   * A quantity of 0 removes the item. Uses Shopify's bundled section
-   * rendering to get pre-rendered HTML in the same response — no
-   * additional section fetch needed.
+   * Render settled adds that didn't come from this component, and the
+   * store's re-read after a failed change. Its own changes render where
+   * they're awaited.
+   * @param {Object} detail - Cart store payload.
+   */
+  handleCartChange({ action, source, sections, settled }) {
+    const external = action === 'add' && source !== 'cart-items';
+    if ((external || source === 'cart-store') && settled) {
+      this.renderFromSections(sections);
+    }
+  }
+
+  /**
+   * Stage a cart line item quantity in the cart store, which batches it
+   * with other pending lines into one POST to /cart/update.js. A quantity
+   * of 0 removes the item. Uses Shopify's bundled section rendering to get
+   * pre-rendered HTML in the same response — no additional section fetch
+   * needed.
    * @param {string} key - The cart line item key.
    * @param {number} quantity - The new desired quantity (0 to remove).
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate] - Skip the debounce (remove buttons).
+   * @returns {Promise<Object|null>} Cart store payload, or null on failure.
    */
-  async updateItem(key, quantity) {
-    const row = this.querySelector(`.cart-item-row[data-key="${CSS.escape(key)}"]`);
-    row?.classList.add('is-loading');
+  async updateItem(key, quantity, { immediate = false } = {}) {
+    const row = this.getRow(key);
+    // Quantity changes are already rendered optimistically; only removals
+    // dim the row while waiting for the server
+    if (quantity === 0) row?.classList.add('is-loading');
     row?.setAttribute('aria-busy', 'true');
 
     try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({
-          id: key,
-          quantity,
-          sections: [this.sectionId]
-        })
+      // Store notifies other components — includes pre-rendered section HTML
+      const { sections, settled } = await window.cartStore.setQuantity(key, quantity, {
+        sections: [this.sectionId],
+        immediate
       });
 
-      if (!response.ok) throw new Error('Failed to update cart');
+      // Self-render only on the cart page, and only if no newer change is
+      // queued behind this one. Inside the drawer, cart-drawer's
+      // synchronous subscriber has already replaced this element.
+      if (!this.insideDrawer && settled) {
+        this.renderFromSections(sections);
+      }
 
-      const data = await response.json();
+      return { sections, settled };
+    } catch (error) {
+      // Roll back to the last server state and explain why inline
+      const line = window.cartStore.cart?.items.find((item) => item.key === key);
+      if (line) this.renderLine(key, line.quantity);
 
-      // Notify other components — includes pre-rendered section HTML
-      document.dispatchEvent(new CustomEvent('cart:updated', {
-        detail: { cart: data, sections: data.sections }
-      }));
+      const message = error.status === 422 ? error.message : this.dataset.errorMessage;
+      this.showLineError(key, message || error.message);
+      row?.classList.remove('is-loading');
+      row?.removeAttribute('aria-busy');
+      return null;
+    }
+  }
 
-      // Self-render only on the cart page. Inside the drawer, cart-drawer's
-      // synchronous event handler has already replaced this element.
-      if (!this.insideDrawer) {
-        this.renderFromSections(data.sections);
+  /**
+   * Set a bundle's quantity: every member line is staged at its per-bundle
+   * unit times the count, then flushed together as one /cart/update.js
+   * call. A count of 0 removes the whole bundle. Rendered optimistically,
+   * rolled back with an inline error on failure.
+   * @param {string} bundleId - The shared _bundle property value.
+   * @param {number} count - The new number of bundles (0 to remove).
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate] - Skip the debounce (remove buttons).
+   * @returns {Promise<Object|null>} Cart store payload, or null on failure.
+   */
+  async updateBundle(bundleId, count, { immediate = false } = {}) {
+    const group = this.getBundle(bundleId);
+    if (!group) return null;
+
+    const store = window.cartStore;
+    const members = [...group.querySelectorAll('[data-bundle-line]')];
+    const title = group.querySelector('.cart-item-title')?.textContent.trim();
+
+    this.clearBundleError(bundleId);
+    this.renderBundle(bundleId, count);
+    if (count === 0) group.classList.add('is-loading');
+    group.setAttribute('aria-busy', 'true');
+
+    try {
+      // Stage every member before flushing, so they travel in one request.
+      // Grouped, so a resent batch still keeps them together.
+      const batches = members.map((member) => store.setQuantity(
+        member.dataset.bundleLine,
+        (parseInt(member.dataset.unit) || 1) * count,
+        { sections: [this.sectionId], group: bundleId }
+      ));
+      if (immediate) store.flush();
+
+      const [{ sections, settled }] = await Promise.all(batches);
+
+      if (!this.insideDrawer && settled) {
+        this.renderFromSections(sections);
+      }
+
+      if (count === 0) {
+        CartItems.openBundles.delete(bundleId);
+        this.announce(this.dataset.removedTemplate?.replace('__TITLE__', title));
       }
+
+      return { sections, settled };
     } catch (error) {
-      const errorEl = this.querySelector('[data-error]');
-      if (errorEl) {
-        errorEl.textContent = error.message;
-        errorEl.hidden = false;
+      // Roll back to the server's bundle count
+      const first = members[0];
+      const line = store.cart?.items.find((item) => item.key === first?.dataset.bundleLine);
+      if (line) this.renderBundle(bundleId, Math.round(line.quantity / (parseInt(first.dataset.unit) || 1)));
+
+      const message = error.status === 422 ? error.message : this.dataset.bundleErrorMessage;
+      this.showBundleError(bundleId, message || error.message);
+      group.classList.remove('is-loading');
+      group.removeAttribute('aria-busy');
+      return null;
+    }
+  }
+
+  /**
+   * Render a bundle group's quantity inputs, member quantities and price
+   * for the given count, then recompute the subtotal.
+   * @param {string} bundleId
+   * @param {number} count
+   */
+  renderBundle(bundleId, count) {
+    const store = window.cartStore;
+    const group = this.getBundle(bundleId);
+    if (!group || !store.cart) return;
+
+    let price = 0;
+    let originalPrice = 0;
+
+    group.querySelectorAll('[data-bundle-line]').forEach((member) => {
+      const quantity = (parseInt(member.dataset.unit) || 1) * count;
+      const item = store.cart.items.find((line) => line.key === member.dataset.bundleLine);
+      if (!item) return;
+
+      price += this.scaleLinePrice(item, 'final_line_price', quantity);
+      originalPrice += this.scaleLinePrice(item, 'original_line_price', quantity);
+
+      const quantityEl = member.querySelector('[data-member-quantity]');
+      if (quantityEl) quantityEl.textContent = `×${quantity}`;
+    });
+
+    group.querySelectorAll('input[data-bundle]').forEach((input) => {
+      input.value = count;
+    });
+    group.querySelectorAll('[data-bundle-price]').forEach((el) => {
+      el.textContent = store.formatMoney(price);
+    });
+    group.querySelectorAll('[data-bundle-original-price]').forEach((el) => {
+      el.textContent = store.formatMoney(originalPrice);
+    });
+
+    this.renderSubtotal();
+  }
+
+  /**
+   * @param {string} bundleId
+   * @param {string} message
+   */
+  showBundleError(bundleId, message) {
+    const errorEl = this.getBundle(bundleId)?.querySelector('[data-bundle-error]');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = false;
+    }
+  }
+
+  /**
+   * @param {string} bundleId
+   */
+  clearBundleError(bundleId) {
+    const errorEl = this.getBundle(bundleId)?.querySelector('[data-bundle-error]');
+    if (errorEl) {
+      errorEl.textContent = '';
+      errorEl.hidden = true;
+    }
+  }
+
+  /**
+   * @param {string} bundleId - The shared _bundle property value.
+   * @returns {HTMLElement|null} The bundle's group element.
+   */
+  getBundle(bundleId) {
+    return this.querySelector(`.cart-bundle[data-bundle="${CSS.escape(bundleId)}"]`);
+  }
+
+  /**
+   * Remove a line and offer to undo it. The line's details are captured
+   * from the store before the request, since the response no longer
+   * contains them. Its position is the row's slot in the rendered list,
+   * where a bundle group counts as one row.
+   * @param {string} key - The cart line item key.
+   */
+  async removeItem(key) {
+    const item = window.cartStore.cart?.items.find((line) => line.key === key);
+    const row = this.getRow(key);
+    const index = row ? this.getRowSlots().indexOf(row) : -1;
+    const drawer = this.closest('cart-drawer');
+
+    // Recorded before the request: the drawer re-renders synchronously
+    // from the store's notification, before the update below resolves,
+    // and its new <cart-items> restores undo rows from this map
+    const entry = item ? { item, index, sectionId: this.sectionId } : null;
+    if (entry) CartItems.removedLines.set(key, entry);
+
+    const result = await this.updateItem(key, 0, { immediate: true });
+    if (!result || !entry) {
+      if (entry) CartItems.removedLines.delete(key);
+      return;
+    }
+
+    entry.timer = setTimeout(() => this.expireUndo(key), 6000);
+
+    // Inside the drawer this element has been replaced; the new instance
+    // restored the row in connectedCallback. If the cart is now empty there
+    // is no new instance, so host the row in an empty copy of this one.
+    if (this.isConnected) {
+      this.restoreUndoRows();
+    } else if (drawer && !drawer.querySelector('cart-items')) {
+      drawer.querySelector('[data-items]')?.prepend(this.cloneNode(false));
+    }
+
+    this.announce(this.dataset.removedTemplate?.replace('__TITLE__', item.product_title));
+  }
+
+  /**
+   * Re-add a removed line via /cart/add.js, then move its row back into
+   * the slot it was removed from.
+   * @param {string} key - The removed line's key.
+   */
+  async undoRemove(key) {
+    const entry = CartItems.removedLines.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    CartItems.removedLines.delete(key);
+
+    const drawer = this.closest('cart-drawer');
+    const undoRow = (drawer || this).querySelector(`[data-undo-key="${CSS.escape(key)}"]`);
+    undoRow?.classList.add('is-loading');
+
+    const { item, index } = entry;
+    const line = { id: item.variant_id, quantity: item.quantity };
+    if (item.properties && Object.keys(item.properties).length) line.properties = item.properties;
+    if (item.selling_plan_allocation) line.selling_plan = item.selling_plan_allocation.selling_plan.id;
+
+    try {
+      const detail = await window.cartStore.add([line], {
+        sections: [this.sectionId],
+        source: 'cart-items'
+      });
+
+      if (!this.insideDrawer && detail.settled) {
+        this.renderFromSections(detail.sections);
       }
-      row?.classList.remove('is-loading');
-      row?.removeAttribute('aria-busy');
+
+      // Inside the drawer, find the instance that replaced this one
+      const current = this.isConnected ? this : drawer?.querySelector('cart-items');
+      const restoredKey = detail.items?.[0]?.key || key;
+      const row = current?.getRow(restoredKey);
+      if (row) current.insertAtIndex(row, index);
+
+      this.announce(this.dataset.restoredTemplate?.replace('__TITLE__', item.product_title));
+    } catch (error) {
+      undoRow?.remove();
+      this.announce(error.message);
+    }
+  }
+
+  /**
+   * Drop an undo entry once its window has passed.
+   * @param {string} key
+   */
+  expireUndo(key) {
+    CartItems.removedLines.delete(key);
+    // This instance may have been replaced since, so look up the live row
+    document.querySelector(`[data-undo-key="${CSS.escape(key)}"]`)?.remove();
+  }
+
+  /**
+   * Insert undo rows for this section's pending removals into the current
+   * markup (after a render replaced them).
+   */
+  restoreUndoRows() {
+    CartItems.removedLines.forEach((entry, key) => {
+      if (entry.sectionId !== this.sectionId) return;
+      if (this.querySelector(`[data-undo-key="${CSS.escape(key)}"]`)) return;
+      this.insertUndoRow(key, entry);
+    });
+  }
+
+  /**
+   * Build a "Removed — Undo" row and insert it at the line's old position.
+   * @param {string} key
+   * @param {Object} entry
+   */
+  insertUndoRow(key, entry) {
+    const row = document.createElement('div');
+    row.className = 'cart-undo-row';
+    row.dataset.undoKey = key;
+
+    const message = document.createElement('p');
+    message.className = 'cart-undo-message';
+    message.textContent = this.dataset.removedTemplate?.replace('__TITLE__', entry.item.product_title) || '';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'cart-undo-button text-cap';
+    button.dataset.undo = key;
+    button.textContent = this.dataset.undoText || 'Undo';
+
+    row.append(message, button);
+    this.insertAtIndex(row, entry.index);
+  }
+
+  /**
+   * Insert a row before whichever row currently sits at the given index.
+   * @param {HTMLElement} row
+   * @param {number} index
+   */
+  insertAtIndex(row, index) {
+    const container = this.querySelector('.cart-items') || this;
+    const siblings = this.getRowSlots().filter((el) => el !== row);
+    container.insertBefore(row, (index >= 0 && siblings[index]) || null);
+  }
+
+  /**
+   * The list's top-level rows: lines, bundle groups and undo rows.
+   * @returns {HTMLElement[]}
+   */
+  getRowSlots() {
+    const container = this.querySelector('.cart-items') || this;
+    return Array.from(container.children).filter((el) =>
+      el.classList.contains('cart-item-row') || el.classList.contains('cart-bundle') ||
+        el.classList.contains('cart-undo-row'));
+  }
+
+  /**
+   * Announce a message through the section's persistent live region.
+   * @param {string} message
+   */
+  announce(message) {
+    const region = this.statusScope?.querySelector('[data-cart-status]');
+    if (region && message) region.textContent = message;
+  }
+
+  /**
+   * Render a line's quantity inputs and line price for the given quantity,
+   * scaled from the store's cart JSON, then recompute the subtotal. Used
+   * for the optimistic update and, with the server quantity, for rollback.
+   * @param {string} key - The cart line item key.
+   * @param {number} quantity - The quantity to display.
+   */
+  renderLine(key, quantity) {
+    const store = window.cartStore;
+    const item = store.cart?.items.find((line) => line.key === key);
+    const row = this.getRow(key);
+    if (!item || !row) return;
+
+    row.querySelectorAll('input[data-key]').forEach((input) => {
+      input.value = quantity;
+    });
+
+    row.querySelectorAll('[data-line-price]').forEach((el) => {
+      el.textContent = store.formatMoney(this.scaleLinePrice(item, 'final_line_price', quantity));
+    });
+
+    row.querySelectorAll('[data-original-line-price]').forEach((el) => {
+      el.textContent = store.formatMoney(this.scaleLinePrice(item, 'original_line_price', quantity));
+    });
+
+    this.renderSubtotal();
+  }
+
+  /**
+   * Recompute the subtotal from the quantities currently displayed in each
+   * row, so several pending lines are all reflected at once.
+   */
+  renderSubtotal() {
+    const store = window.cartStore;
+    if (!store.cart) return;
+
+    const subtotal = store.cart.items.reduce((total, item) => {
+      const quantity = this.getDisplayedQuantity(item.key);
+      if (quantity === null) return total;
+      return total - item.final_line_price + this.scaleLinePrice(item, 'final_line_price', quantity);
+    }, store.cart.total_price);
+
+    // Inside the drawer the subtotal lives in the checkout column, outside this element
+    (this.closest('cart-drawer') || this).querySelectorAll('[data-cart-subtotal]').forEach((el) => {
+      el.textContent = store.formatMoney(subtotal);
+    });
+  }
+
+  /**
+   * The quantity a line currently shows: its own input, or for a bundle
+   * member, its unit times the group's input.
+   * @param {string} key - The cart line item key.
+   * @returns {number|null} Null if the line isn't rendered here.
+   */
+  getDisplayedQuantity(key) {
+    const input = this.getRow(key)?.querySelector('input[data-key]');
+    if (input) return parseInt(input.value) || 0;
+
+    const member = this.querySelector(`[data-bundle-line="${CSS.escape(key)}"]`);
+    const groupInput = member?.closest('.cart-bundle')?.querySelector('input[data-bundle]');
+    if (!groupInput) return null;
+
+    return (parseInt(member.dataset.unit) || 1) * (parseInt(groupInput.value) || 0);
+  }
+
+  /**
+   * Scale a server line price to another quantity.
+   * @param {Object} item - Line item from the cart JSON.
+   * @param {string} field - 'final_line_price' or 'original_line_price'.
+   * @param {number} quantity
+   * @returns {number} Cents.
+   */
+  scaleLinePrice(item, field, quantity) {
+    return Math.round((item[field] / item.quantity) * quantity);
+  }
+
+  /**
+   * Show an inline error under a single line item.
+   * @param {string} key - The cart line item key.
+   * @param {string} message
+   */
+  showLineError(key, message) {
+    const errorEl = this.getRow(key)?.querySelector('[data-line-error]');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = false;
     }
   }
 
+  /**
+   * Clear a line's inline error.
+   * @param {string} key - The cart line item key.
+   */
+  clearLineError(key) {
+    const errorEl = this.getRow(key)?.querySelector('[data-line-error]');
+    if (errorEl) {
+      errorEl.textContent = '';
+      errorEl.hidden = true;
+    }
+  }
+
+  /**
+   * @param {string} key - The cart line item key.
+   * @returns {HTMLElement|null} The line's row element.
+   */
+  getRow(key) {
+    return this.querySelector(`.cart-item-row[data-key="${CSS.escape(key)}"]`);
+  }
+
   /**
    * Replace this element's content using pre-rendered section HTML
    * from the bundled sections response.
@@ -126,6 +640,8 @@ class CartItems extends HTMLElement {
 
     if (newCartItems) {
       this.innerHTML = newCartItems.innerHTML;
+      this.restoreUndoRows();
+      this.restoreOpenBundles();
     }
   }
 }
@@ -0,0 +1,390 @@
+/**
+ * Cart Store
+ * Cart event protocol: .claude/conventions/commerce.md
+ *
+ * Single owner of the cart JSON. Every cart mutation in the theme goes
+ * through this store, which serializes requests (one in flight at a time,
+ * in call order) and notifies subscribers with one payload shape:
+ *
+ *   { action: 'add' | 'change' | 'update' | 'clear' | 'refresh',
+ *     source,    // optional tag passed by the caller, e.g. 'cart-items'
+ *     cart,      // canonical /cart.js JSON after the mutation
+ *     sections,  // bundled section HTML, if any were requested
+ *     items,     // line items returned by /cart/add.js ('add' only)
+ *     settled }  // false if newer mutations are queued or staged
+ *
+ * Components that swap section HTML should only do so when `settled` is
+ * true: an unsettled payload is about to be superseded, and rendering it
+ * would briefly show a stale cart (last write wins). If the last queued
+ * mutation fails after unsettled commits, the store re-reads the cart with
+ * every registered section (an empty /cart/update.js, source 'cart-store')
+ * so a settled payload still follows.
+ *
+ * Line quantities can also be staged with setQuantity(): staged lines are
+ * debounced and sent together as one /cart/update.js call, with a later
+ * value for the same line replacing the earlier one before it's sent. If
+ * Shopify rejects the batch (a 422 for one line over its stock), each
+ * group of lines is resent on its own, so only the offending group fails
+ * and the rest still go through.
+ *
+ * Subscribers that render a cart-dependent section register its ID with
+ * subscribe(). Callers that add from outside the cart (product form, quick
+ * add) pass renderedSections() as the add's `sections`, so every cart view
+ * on the page re-renders from the add response itself instead of fetching
+ * its section afterwards. Every add also bundles the cart-json section,
+ * which carries the cart after the add in that same response.
+ *
+ * The same payload is dispatched on document as 'cart:updated' so scripts
+ * outside the theme (apps, analytics) can listen without touching the store.
+ *
+ * Seeded from the cart JSON rendered in theme.liquid, so reading the cart
+ * never costs a request on page load. The same script tag carries the shop's
+ * money format (data-money-format) for formatMoney().
+ *
+ * Usage:
+ *   const unsubscribe = window.cartStore.subscribe(({ action, cart }) => { ... });
+ *   window.cartStore.subscribe(callback, { sections: ['cart-drawer'] });
+ *   await window.cartStore.add(items, { sections: window.cartStore.renderedSections() });
+ *   await window.cartStore.add([{ id: 123, quantity: 1 }]);
+ *   await window.cartStore.change({ id: key, quantity: 2 }, { sections: ['main-cart'] });
+ *   await window.cartStore.setQuantity(key, 2, { sections: ['main-cart'] });
+ */
+class CartStore {
+  constructor() {
+    // Subscriber callback → IDs of the sections it renders
+    this.subscribers = new Map();
+    this.queue = Promise.resolve();
+    this.pending = 0;
+    // True while the last commit was unsettled and no settled one followed
+    this.unsettled = false;
+
+    // Staged line key → { quantity, group, waiters } awaiting the next flush
+    this.staged = new Map();
+    this.stagedSections = new Set();
+    this.flushTimer = null;
+
+    const jsonScript = document.getElementById('cart-json');
+    this.cart = jsonScript ? JSON.parse(jsonScript.textContent) : null;
+    this.moneyFormat = jsonScript?.dataset.moneyFormat || '${{amount}}';
+  }
+
+  /**
+   * Register a callback for every cart change.
+   * @param {Function} callback - Receives the payload described above.
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Section IDs the subscriber renders
+   *   from the payload, included in renderedSections().
+   * @returns {Function} Call to unsubscribe.
+   */
+  subscribe(callback, { sections = [] } = {}) {
+    this.subscribers.set(callback, sections);
+    return () => this.subscribers.delete(callback);
+  }
+
+  /**
+   * IDs of every section registered by current subscribers, capped so an
+   * add (which bundles cart-json too) stays within Shopify's limit of 5
+   * sections per bundled rendering request.
+   * @returns {string[]}
+   */
+  renderedSections() {
+    const ids = new Set([...this.subscribers.values()].flat());
+    return [...ids].slice(0, 4);
+  }
+
+  /**
+   * Add one or more variants via /cart/add.js. The endpoint only returns
+   * the added lines, so the cart-json section is bundled with the requested
+   * sections and the cart is read from it, notifying subscribers from the
+   * one response. Falls back to reading /cart.js if that section is missing.
+   * @param {Array<Object>} items - [{ id, quantity, properties?, selling_plan? }]
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Section IDs to render in the response.
+   * @param {string} [options.source] - Tag identifying the caller, echoed in the payload.
+   * @returns {Promise<Object>} The notification payload.
+   */
+  add(items, { sections, source } = {}) {
+    return this.enqueue(async () => {
+      const data = await this.post('/cart/add.js', {
+        items,
+        sections: [...(sections || []).slice(0, 4), 'cart-json']
+      });
+
+      const { 'cart-json': cartHtml, ...rendered } = data.sections || {};
+      const cart = this.parseCartSection(cartHtml) || await this.get('/cart.js');
+
+      return this.commit('add', cart, {
+        sections: rendered,
+        items: data.items || [data],
+        source
+      });
+    });
+  }
+
+  /**
+   * Read the cart JSON out of the rendered cart-json section.
+   * @param {string} [html]
+   * @returns {Object|null} Null if the section didn't render.
+   */
+  parseCartSection(html) {
+    if (!html) return null;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const script = doc.querySelector('[data-cart-json]');
+
+    try {
+      return script ? JSON.parse(script.textContent) : null;
+    } catch {
+      // Malformed output: fall back to /cart.js
+      return null;
+    }
+  }
+
+  /**
+   * Change a single line via /cart/change.js. A quantity of 0 removes it.
+   * @param {Object} line - { id (line key), quantity, properties? }
+   * @param {Object} [options]
+   * @param {string[]} [options.sections]
+   * @returns {Promise<Object>}
+   */
+  change(line, { sections } = {}) {
+    return this.enqueue(async () => {
+      const data = await this.post('/cart/change.js', { ...line, sections });
+      return this.commit('change', data, { sections: data.sections });
+    });
+  }
+
+  /**
+   * Update quantities, note or attributes via /cart/update.js.
+   * @param {Object} payload - { updates?, note?, attributes? }
+   * @param {Object} [options]
+   * @param {string[]} [options.sections]
+   * @param {string} [options.source] - Tag identifying the caller, echoed in the payload.
+   * @returns {Promise<Object>}
+   */
+  update(payload, { sections, source } = {}) {
+    return this.enqueue(async () => {
+      const data = await this.post('/cart/update.js', { ...payload, sections });
+      return this.commit('update', data, { sections: data.sections, source });
+    });
+  }
+
+  /**
+   * Stage a line quantity for the next batched /cart/update.js call.
+   * Restarts a 300ms debounce, so rapid changes across several lines
+   * become a single request.
+   * @param {string} key - The cart line item key.
+   * @param {number} quantity - The new quantity (0 removes the line).
+   * @param {Object} [options]
+   * @param {string[]} [options.sections] - Section IDs to render in the batch response.
+   * @param {boolean} [options.immediate] - Flush now instead of waiting for the debounce.
+   * @param {string} [options.group] - Lines sharing a group succeed or fail
+   *   together if the batch has to be resent (bundle members). Defaults to the key.
+   * @returns {Promise<Object>} Payload of the request that carries this line.
+   */
+  setQuantity(key, quantity, { sections = [], immediate = false, group = key } = {}) {
+    // A later value replaces the staged one, and settles its callers too
+    const waiters = this.staged.get(key)?.waiters || [];
+    this.staged.set(key, { quantity, group, waiters });
+    sections.forEach((id) => this.stagedSections.add(id));
+
+    const promise = new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+
+    clearTimeout(this.flushTimer);
+    if (immediate) {
+      this.flush();
+    } else {
+      this.flushTimer = setTimeout(() => this.flush(), 300);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Send all staged line quantities as one /cart/update.js call. On a 422,
+   * resend each group separately so one invalid line can't sink the others.
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    if (!this.staged.size) return;
+
+    const entries = [...this.staged];
+    const sections = [...this.stagedSections];
+
+    this.staged.clear();
+    this.stagedSections.clear();
+
+    const send = (lines) => {
+      const updates = Object.fromEntries(lines.map(([key, { quantity }]) => [key, quantity]));
+      return this.update({ updates }, { sections });
+    };
+
+    const settle = (lines, request) => lines.forEach(([, { waiters }]) => {
+      waiters.forEach(({ resolve, reject }) => request.then(resolve, reject));
+    });
+
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const group = entry[1].group;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(entry);
+    });
+
+    send(entries).then(
+      (detail) => settle(entries, Promise.resolve(detail)),
+      (error) => {
+        if (error.status === 422 && groups.size > 1) {
+          groups.forEach((lines) => settle(lines, send(lines)));
+        } else {
+          settle(entries, Promise.reject(error));
+        }
+      }
+    );
+  }
+
+  /**
+   * Remove every line via /cart/clear.js.
+   * @param {Object} [options]
+   * @param {string[]} [options.sections]
+   * @returns {Promise<Object>}
+   */
+  clear({ sections } = {}) {
+    return this.enqueue(async () => {
+      const data = await this.post('/cart/clear.js', { sections });
+      return this.commit('clear', data, { sections: data.sections });
+    });
+  }
+
+  /**
+   * Re-read the cart from /cart.js, e.g. after a change made outside the
+   * store (another tab, a third-party app).
+   * @returns {Promise<Object>}
+   */
+  refresh() {
+    return this.enqueue(async () => {
+      const cart = await this.get('/cart.js');
+      return this.commit('refresh', cart);
+    });
+  }
+
+  /**
+   * Format an amount in cents with the shop's money format, for prices
+   * rendered client-side before the server HTML arrives.
+   * @param {number} cents
+   * @returns {string}
+   */
+  formatMoney(cents) {
+    const placeholder = this.moneyFormat.match(/\{\{\s*(\w+)\s*\}\}/);
+    if (!placeholder) return this.moneyFormat;
+
+    const amount = (precision, thousands, decimal) => {
+      const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+      const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+      return fraction ? grouped + decimal + fraction : grouped;
+    };
+
+    const formats = {
+      amount: () => amount(2, ',', '.'),
+      amount_no_decimals: () => amount(0, ',', '.'),
+      amount_with_comma_separator: () => amount(2, '.', ','),
+      amount_no_decimals_with_comma_separator: () => amount(0, '.', ','),
+      amount_with_apostrophe_separator: () => amount(2, "'", '.'),
+      amount_with_space_separator: () => amount(2, ' ', ',')
+    };
+
+    const format = formats[placeholder[1]] || formats.amount;
+    return this.moneyFormat.replace(placeholder[0], format());
+  }
+
+  /**
+   * Chain a task onto the mutation queue. A failed task rejects its own
+   * promise but doesn't block the tasks queued after it.
+   * @param {Function} task - Async function to run once earlier tasks settle.
+   * @returns {Promise}
+   */
+  enqueue(task) {
+    this.pending++;
+    const run = this.queue.then(task).finally(() => this.pending--);
+    this.queue = run.catch(() => this.resettle());
+    return run;
+  }
+
+  /**
+   * After a failed mutation, publish a settled payload if the last commit
+   * wasn't settled and nothing else is queued or staged to follow it.
+   * Views that only render settled payloads would otherwise stay stale.
+   */
+  resettle() {
+    if (!this.unsettled || this.pending > 0 || this.staged.size > 0) return;
+
+    // Cleared first, so a failing re-read doesn't retry forever
+    this.unsettled = false;
+    this.update({}, { sections: this.renderedSections(), source: 'cart-store' }).catch(() => {});
+  }
+
+  /**
+   * Store the new cart and notify subscribers and document listeners.
+   * @param {string} action
+   * @param {Object} cart
+   * @param {Object} [extra] - { sections, items, source } for the payload.
+   * @returns {Object} The notification payload.
+   */
+  commit(action, cart, { sections, items, source } = {}) {
+    // Bundled section HTML travels in the payload, not in the stored cart
+    const { sections: _sections, ...cartData } = cart;
+    this.cart = cartData;
+
+    // Settled when this is the only queued mutation and nothing is staged
+    const settled = this.pending === 1 && this.staged.size === 0;
+    this.unsettled = !settled;
+    const detail = { action, source, cart: cartData, sections, items, settled };
+    this.subscribers.forEach((_sections, callback) => callback(detail));
+    document.dispatchEvent(new CustomEvent('cart:updated', { detail }));
+
+    return detail;
+  }
+
+  /**
+   * GET JSON from a cart endpoint.
+   * @param {string} url
+   * @returns {Promise<Object>}
+   */
+  async get(url) {
+    const response = await fetch(url, {
+      headers: { 'X-Requested-With': 'XMLHttpRequest' }
+    });
+
+    if (!response.ok) throw new Error('Failed to load cart');
+    return response.json();
+  }
+
+  /**
+   * POST JSON to a cart endpoint. Non-2xx responses throw an Error carrying
+   * Shopify's description and the HTTP status (422 for stock/validation).
+   * @param {string} url
+   * @param {Object} body
+   * @returns {Promise<Object>}
+   */
+  async post(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(data.description || data.message || 'Failed to update cart');
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+window.cartStore = new CartStore();
@@ -6,18 +6,32 @@
  * Section Rendering API and swaps the product grid + filter UI without a full
  * page reload. Falls back to normal link navigation when JS is unavailable.
  *
+ * Filter forms ([data-filters] checkboxes, the [data-price-filter] inputs
+ * and price slider) apply live: changes are debounced, merged into the
+ * current URL and sent through applyFilters() without closing the drawer.
+ * Number inputs apply as the shopper types; sliders apply on release. The
+ * changed filter group shows a pending state (is-pending, aria-busy) until
+ * the results land, and open groups and focus survive the drawer re-render.
+ * A newer request aborts the one in flight.
+ *
  * Expected markup:
  *   <filter-drawer id="filter-drawer" aria-hidden="true" role="dialog"
  *     aria-modal="true" aria-label="Filter & Sort">
  *     <div class="filter-overlay" data-overlay></div>
  *     <aside class="filter-panel">
  *       <div class="filter-header">...</div>
- *       <div class="filter-body">...</div>
+ *       <div class="filter-body">
+ *         <details data-filter-group="filter.v.price">
+ *           <form data-price-filter action="/collections/all">...</form>
+ *         </details>
+ *       </div>
  *       <div class="filter-footer">...</div>
  *     </aside>
  *   </filter-drawer>
  */
 class FilterDrawer extends HTMLElement {
+  static debounceDelay = 400;
+
   connectedCallback() {
     this.overlay = this.querySelector('[data-overlay]');
     this.previouslyFocused = null;
@@ -25,6 +39,8 @@ class FilterDrawer extends HTMLElement {
     this.section = this.closest('[data-section-id]');
     this.sectionId = this.section?.dataset.sectionId;
     this.trigger = document.querySelector('[aria-controls="filter-drawer"]');
+    this.debounceTimer = null;
+    this.abortController = null;
 
     this.handleKeydown = this.handleKeydown.bind(this);
     this._onPopState = () => this.applyFilters(location.href);
@@ -40,11 +56,14 @@ class FilterDrawer extends HTMLElement {
     this.bindFilterLinks();
     this.bindPills();
     this.bindClear();
+    this.bindForms();
 
     window.addEventListener('popstate', this._onPopState);
   }
 
   disconnectedCallback() {
+    if (this.debounceTimer) clearTimeout(this.debounceTimer);
+    this.abortController?.abort();
     window.removeEventListener('popstate', this._onPopState);
   }
 
@@ -139,9 +158,101 @@ class FilterDrawer extends HTMLElement {
     });
   }
 
-  async applyFilters(url) {
+  /**
+   * Live-apply filter form changes, debounced. Checkboxes and sliders
+   * report on change; number inputs on every keystroke.
+   */
+  bindForms() {
+    const onFormEvent = (e) => {
+      const form = e.target.closest('form[data-filters], form[data-price-filter]');
+      if (!form) return;
+      if (e.type === 'input' && e.target.type !== 'number') return;
+
+      this.scheduleFormApply(form, e.target.closest('details'));
+    };
+
+    this.section?.addEventListener('change', onFormEvent);
+    this.section?.addEventListener('input', onFormEvent);
+
+    // Enter in a price field applies now instead of navigating
+    this.section?.addEventListener('submit', (e) => {
+      const form = e.target.closest('form[data-filters], form[data-price-filter]');
+      if (!form) return;
+      e.preventDefault();
+      this.scheduleFormApply(form, form.closest('details'), 0);
+    });
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {HTMLElement|null} group - The filter group to mark pending
+   * @param {number} [delay]
+   */
+  scheduleFormApply(form, group, delay = FilterDrawer.debounceDelay) {
+    if (group) {
+      group.classList.add('is-pending');
+      group.setAttribute('aria-busy', 'true');
+    }
+
+    if (this.debounceTimer) clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      const url = this.buildFormUrl(form);
+
+      if (url === location.href) {
+        this.clearPending();
+        return;
+      }
+
+      this.applyFilters(url, { live: true });
+    }, delay);
+  }
+
+  /**
+   * The current URL with the form's fields replaced by its values; other
+   * active filters and the sort order carry over. Blank values are dropped
+   * and pagination resets.
+   * @param {HTMLFormElement} form
+   * @returns {string}
+   */
+  buildFormUrl(form) {
+    const url = new URL(form.action, location.origin);
+    const params = new URLSearchParams(location.search);
+
+    Array.from(form.elements).forEach((field) => {
+      if (field.name) params.delete(field.name);
+    });
+    params.delete('page');
+
+    for (const [name, value] of new FormData(form)) {
+      if (value !== '') params.append(name, value);
+    }
+
+    url.search = params.toString();
+    return url.href;
+  }
+
+  clearPending() {
+    this.section?.querySelectorAll('.is-pending').forEach((group) => {
+      group.classList.remove('is-pending');
+      group.removeAttribute('aria-busy');
+    });
+  }
+
+  /**
+   * Fetch the filtered section and swap its products and filter UI.
+   * Link-driven changes close the drawer and scroll to the products; live
+   * form changes keep the drawer open where the shopper left it. Never
+   * rejects: a failed request just clears the loading and pending state.
+   * @param {string} url
+   * @param {{ live?: boolean }} [options]
+   */
+  async applyFilters(url, { live = false } = {}) {
     if (!this.sectionId) return;
 
+    this.abortController?.abort();
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
     this.section.classList.add('is-loading');
 
     try {
@@ -149,7 +260,8 @@ class FilterDrawer extends HTMLElement {
       fetchUrl.searchParams.set('section_id', this.sectionId);
 
       const response = await fetch(fetchUrl, {
-        headers: { 'X-Requested-With': 'XMLHttpRequest' }
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+        signal
       });
       if (!response.ok) return;
 
@@ -168,14 +280,22 @@ class FilterDrawer extends HTMLElement {
         history.pushState({}, '', cleanUrl);
       }
 
+      if (live) return;
+
       if (this.isOpen) this.close();
 
       const products = this.section.querySelector('[data-products]');
       if (products) {
         products.scrollIntoView({ behavior: 'smooth', block: 'start' });
       }
+    } catch {
+      // Aborted by a newer request, or failed (offline): the current results
+      // and form stay as they were; callers run from timers and listeners
     } finally {
-      this.section.classList.remove('is-loading');
+      if (!signal.aborted) {
+        this.section.classList.remove('is-loading');
+        this.clearPending();
+      }
     }
   }
 
@@ -191,7 +311,16 @@ class FilterDrawer extends HTMLElement {
     const currentBody = this.querySelector('.filter-body');
     const newBody = doc.querySelector('.filter-body');
     if (currentBody && newBody) {
+      const openGroups = Array.from(currentBody.querySelectorAll('details[open][data-filter-group]'))
+        .map((group) => group.dataset.filterGroup);
+      const focusedId = currentBody.contains(document.activeElement) ? document.activeElement.id : '';
+
       currentBody.innerHTML = newBody.innerHTML;
+
+      currentBody.querySelectorAll('details[data-filter-group]').forEach((group) => {
+        if (openGroups.includes(group.dataset.filterGroup)) group.open = true;
+      });
+      if (focusedId) document.getElementById(focusedId)?.focus();
     }
 
     const currentFooter = this.querySelector('.filter-footer');
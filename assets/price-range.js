@@ -0,0 +1,97 @@
+/**
+ * Price Range Web Component
+ *
+ * Dual-handle price slider bound to the price filter's min/max number
+ * inputs. Two stacked native range inputs keep keyboard and screen reader
+ * support (each has its own label and a currency aria-valuetext); the
+ * handles can't cross. Moving a handle writes its number input, leaving it
+ * empty at the ends of the range so an untouched bound sends no filter;
+ * typing in a number input moves its handle. The filled part of the track
+ * is drawn from --range-min/--range-max.
+ *
+ * Only the number inputs are named, so the form submits just them;
+ * FilterDrawer applies the filter on the events bubbling from here.
+ *
+ * Expected markup:
+ *   <price-range data-currency="$">
+ *     <div class="price-range-slider">
+ *       <input type="range" min="0" max="500" data-range-min aria-label="Minimum price">
+ *       <input type="range" min="0" max="500" data-range-max aria-label="Maximum price">
+ *     </div>
+ *     <input type="number" name="filter.v.price.gte" data-input-min>
+ *     <input type="number" name="filter.v.price.lte" data-input-max>
+ *   </price-range>
+ */
+class PriceRange extends HTMLElement {
+  connectedCallback() {
+    this.rangeMin = this.querySelector('[data-range-min]');
+    this.rangeMax = this.querySelector('[data-range-max]');
+    this.inputMin = this.querySelector('[data-input-min]');
+    this.inputMax = this.querySelector('[data-input-max]');
+    if (!this.rangeMin || !this.rangeMax || !this.inputMin || !this.inputMax) return;
+
+    this.max = parseInt(this.rangeMax.max) || 0;
+
+    this.addEventListener('input', (e) => {
+      if (e.target === this.rangeMin || e.target === this.rangeMax) {
+        this.handleSlide(e.target);
+      } else if (e.target === this.inputMin || e.target === this.inputMax) {
+        this.handleType();
+      }
+    });
+
+    this.update();
+  }
+
+  /**
+   * Keep the handles from crossing and mirror them into the inputs.
+   * @param {HTMLInputElement} handle - The range input that moved
+   */
+  handleSlide(handle) {
+    let min = parseInt(this.rangeMin.value);
+    let max = parseInt(this.rangeMax.value);
+
+    if (min > max) {
+      if (handle === this.rangeMin) {
+        min = max;
+        this.rangeMin.value = min;
+      } else {
+        max = min;
+        this.rangeMax.value = max;
+      }
+    }
+
+    this.inputMin.value = min > 0 ? min : '';
+    this.inputMax.value = max < this.max ? max : '';
+    this.update();
+  }
+
+  handleType() {
+    // Range inputs clamp out-of-range values themselves
+    this.rangeMin.value = this.inputMin.value || 0;
+    this.rangeMax.value = this.inputMax.value || this.max;
+    this.update();
+  }
+
+  update() {
+    const min = parseInt(this.rangeMin.value);
+    const max = parseInt(this.rangeMax.value);
+    const percent = (value) => (this.max > 0 ? (value / this.max) * 100 : 0);
+
+    this.style.setProperty('--range-min', `${percent(min)}%`);
+    this.style.setProperty('--range-max', `${percent(max)}%`);
+
+    this.rangeMin.setAttribute('aria-valuetext', this.format(min));
+    this.rangeMax.setAttribute('aria-valuetext', this.format(max));
+  }
+
+  /**
+   * @param {number} value - Whole currency units
+   * @returns {string}
+   */
+  format(value) {
+    return `${this.dataset.currency || ''}${value}`;
+  }
+}
+
+customElements.define('price-range', PriceRange);
@@ -7,28 +7,68 @@
  * radio input changes to update the hidden variant ID. On variant change,
  * fetches server-rendered HTML via Shopify's Section Rendering API and
  * swaps in updated regions (price, buy buttons) marked with
- * data-variant-render attributes. Dispatches 'cart:item-added' on
- * document after successful add. Respects document.body.dataset.cartType
- * to decide whether to let the cart drawer handle opening or redirect
- * to /cart.
+ * data-variant-render attributes. Adds go through the cart store
+ * (cart-store.js), which notifies the drawer and cart icon; the add requests
+ * every registered cart section, so they render from its response. Respects
+ * document.body.dataset.cartType to decide whether to let the cart drawer
+ * handle opening or redirect to /cart.
+ *
+ * Option pills are marked per combination: for each pill, the variant that
+ * would result from picking it with the other current selections decides
+ * whether it's available, sold out or unavailable (no such variant). If a
+ * pick leads to a combination that doesn't exist, the other options are
+ * auto-corrected to the nearest variant that has the picked value; if none
+ * can be found, the buy button shows an explicit "unavailable" state.
+ * Pills of a combined listing that belong to another product
+ * (data-product-url) navigate to that product instead.
+ *
+ * The selected variant is kept in the URL (?variant=). With
+ * data-push-history="true" each change adds a history entry, and back/forward
+ * re-select the radios, re-render the variant regions and re-sync the
+ * gallery (via 'product:variant-changed'). The URL's variant is also
+ * re-applied on connect, so a section re-rendered without it (theme editor)
+ * keeps the deep-linked variant. The theme editor never gets history
+ * entries pushed.
+ *
+ * Variant renders are cached in memory (LRU, keyed by variant ID) as the
+ * parsed innerHTML of each data-variant-render region. A cached variant
+ * swaps in instantly and is revalidated in the background; hovering or
+ * focusing a pill prefetches the variant it would select.
+ *
+ * Line-item property fields (name="properties[...]", rendered by
+ * "Custom field" blocks) and the selling plan select are collected from
+ * anywhere inside the component and sent with the add. Property fields are
+ * validated first; the add is aborted on the first invalid one.
  *
  * Expected markup:
- *   <product-form data-section-id="{{ section.id }}">
+ *   <product-form data-section-id="{{ section.id }}" data-push-history="true"
+ *     data-sold-out-text="Sold out" data-unavailable-text="Unavailable">
  *     <script type="application/json" class="product-json">{ "variants": [...] }</script>
- *     <fieldset class="variant-options">...</fieldset>
+ *     <fieldset class="variant-options">
+ *       <label class="variant-pill">
+ *         <input type="radio" value="Red"><span>Red</span>
+ *         <span class="visually-hidden" data-pill-status></span>
+ *       </label>
+ *     </fieldset>
  *     <quantity-selector>
  *       <input type="number" name="quantity" value="1" min="1">
  *     </quantity-selector>
+ *     <select name="selling_plan">...</select>
+ *     <input name="properties[Engraving]" maxlength="20">
  *     <form action="/cart/add" method="post">
  *       <input type="hidden" name="id" value="VARIANT_ID">
  *       <div data-variant-render="buy-buttons">
- *         <button type="submit">Add to cart</button>
+ *         <button type="submit" data-add-text="..." data-sold-text="..."
+ *           data-unavailable-text="...">Add to cart</button>
  *       </div>
  *       <div data-error class="form-error" role="alert" hidden></div>
  *     </form>
  *   </product-form>
  */
 class ProductForm extends HTMLElement {
+  /** Maximum number of variant renders kept in the cache. */
+  static renderCacheSize = 12;
+
   connectedCallback() {
     this.form = this.querySelector('form');
     if (!this.form) return;
@@ -38,113 +78,408 @@ class ProductForm extends HTMLElement {
     this.sectionId = this.dataset.sectionId;
     this.renderRequestId = 0;
 
+    // Variant ID → { region name → innerHTML }, least recently used first
+    this.renderCache = new Map();
+    // Variant ID → in-flight fragment request, so prefetch and select share it
+    this.renderRequests = new Map();
+
     // Parse the product JSON for variant lookup
     const jsonScript = this.querySelector('.product-json');
     this.productData = jsonScript ? JSON.parse(jsonScript.textContent) : null;
 
+    const idInput = this.form.querySelector('input[name="id"]');
+    this.currentVariant = this.productData?.variants.find(
+      (variant) => variant.id === parseInt(idInput?.value)
+    );
+
+    this.pushHistory = this.dataset.pushHistory === 'true' && !Shopify.designMode;
+
+    // Back/forward between pushed variant entries
+    this._onPopState = () => this.selectVariantFromUrl();
+    window.addEventListener('popstate', this._onPopState);
+
+    // Re-apply a deep-linked variant the markup doesn't reflect. Waits for
+    // the page's other components (gallery) so they receive the change.
+    if (document.readyState === 'complete') {
+      queueMicrotask(() => this.selectVariantFromUrl());
+    } else {
+      window.addEventListener('load', () => this.selectVariantFromUrl(), { once: true });
+    }
+
+    // Prefetch the variant a pill would select when it's hovered or focused
+    this.addEventListener('pointerover', (e) => this.handlePillIntent(e));
+    this.addEventListener('focusin', (e) => this.handlePillIntent(e));
+
     // Listen for form submission
     this.form.addEventListener('submit', (e) => this.handleSubmit(e));
 
     // Listen for variant radio changes anywhere inside this component
     // (radios live in the variant-selector block, outside the <form>)
     this.addEventListener('change', (e) => {
-      if (e.target.matches('input[type="radio"]')) {
-        this.handleVariantChange();
+      if (e.target.matches('.variant-options input[type="radio"]')) {
+        this.handleVariantChange(e.target);
       }
     });
   }
 
+  disconnectedCallback() {
+    window.removeEventListener('popstate', this._onPopState);
+  }
+
   /**
    * When a variant radio changes, find the matching variant from the product
-   * JSON and update the hidden id input. Also dispatches 'product:variant-changed'
-   * for other components (gallery) to react, then fetches server-rendered HTML
-   * to update price and buy button regions.
+   * JSON and update the hidden id input. A combination that doesn't exist is
+   * auto-corrected to the nearest variant with the changed value. Pill states
+   * and the buy button are updated right away; then dispatches
+   * 'product:variant-changed' for other components (gallery) to react, and
+   * fetches server-rendered HTML to update price and buy button regions.
+   * @param {HTMLInputElement} [changedInput] - The radio that was picked.
    */
-  handleVariantChange() {
+  handleVariantChange(changedInput) {
+    // Combined listing: the value lives on another product
+    if (changedInput?.dataset.productUrl) {
+      window.location.href = changedInput.dataset.productUrl;
+      return;
+    }
+
     if (!this.productData || !this.productData.variants) return;
 
-    // Collect all currently selected option values from fieldsets in this component
-    const selectedOptions = [];
-    const optionFieldsets = this.querySelectorAll('fieldset');
-    optionFieldsets.forEach((fieldset) => {
-      const checked = fieldset.querySelector('input[type="radio"]:checked');
-      if (checked) {
-        selectedOptions.push(checked.value);
-      }
-    });
+    let selectedOptions = this.getSelectedOptions();
+    let matchedVariant = this.findVariant(selectedOptions);
 
-    // Find the variant that matches all selected options
-    const matchedVariant = this.productData.variants.find((variant) => {
-      return variant.options.every((option, index) => option === selectedOptions[index]);
-    });
+    if (!matchedVariant && changedInput) {
+      const fieldsets = [...this.querySelectorAll('fieldset.variant-options')];
+      const changedIndex = fieldsets.indexOf(changedInput.closest('fieldset'));
+      matchedVariant = this.findNearestVariant(selectedOptions, changedIndex);
 
-    if (matchedVariant) {
-      this.currentVariant = matchedVariant;
-      // Update the hidden variant ID input
-      const idInput = this.form.querySelector('input[name="id"]');
-      if (idInput) {
-        idInput.value = matchedVariant.id;
+      if (matchedVariant) {
+        this.selectOptions(matchedVariant.options);
+        selectedOptions = matchedVariant.options;
       }
+    }
+
+    this.selectVariant(matchedVariant, selectedOptions);
+  }
+
+  /**
+   * Select the variant named by the URL's ?variant= (or the first available
+   * variant if there is none), unless it's already selected. Used for
+   * back/forward navigation and deep links; doesn't touch history.
+   */
+  selectVariantFromUrl() {
+    if (!this.productData || !this.productData.variants) return;
+
+    const { variants } = this.productData;
+    const variantId = parseInt(new URL(window.location).searchParams.get('variant'));
+    const variant = variantId
+      ? variants.find((v) => v.id === variantId)
+      : variants.find((v) => v.available) || variants[0];
+
+    if (!variant || variant.id === this.currentVariant?.id) return;
 
-      const url = new URL(window.location);
-      url.searchParams.set('variant', matchedVariant.id);
-      window.history.replaceState({}, '', url);
+    this.selectOptions(variant.options);
+    this.selectVariant(variant, variant.options, { updateHistory: false });
+  }
 
-      this.renderVariantSections(matchedVariant.id);
+  /**
+   * Apply a variant: pill states, buy button, hidden id input and URL, then
+   * render the variant regions and notify other components. A null variant
+   * (a combination with no variant) only updates the form state.
+   * @param {Object|null} variant
+   * @param {string[]} selectedOptions
+   * @param {Object} [options]
+   * @param {boolean} [options.updateHistory] - Write the variant to the URL.
+   */
+  selectVariant(variant, selectedOptions, { updateHistory = true } = {}) {
+    this.updateOptionStates(selectedOptions);
+    this.currentVariant = variant || null;
+    this.updateBuyButton(variant);
+
+    // Update the hidden variant ID input
+    const idInput = this.form.querySelector('input[name="id"]');
+    if (idInput) {
+      idInput.value = variant ? variant.id : '';
+    }
+
+    if (variant) {
+      if (updateHistory) this.updateUrl(variant.id);
+
+      this.renderVariantSections(variant.id);
 
       // Notify other components (gallery) about the variant change
       document.dispatchEvent(new CustomEvent('product:variant-changed', {
-        detail: { variant: matchedVariant }
+        detail: { variant }
       }));
+    } else {
+      // Discard any render still in flight for the previous variant
+      this.renderRequestId++;
+      this.classList.remove('is-loading');
+    }
+  }
+
+  /**
+   * Write the variant to the URL, as a new history entry if enabled.
+   * @param {number} variantId
+   */
+  updateUrl(variantId) {
+    const url = new URL(window.location);
+    if (url.searchParams.get('variant') === String(variantId)) return;
+
+    url.searchParams.set('variant', variantId);
+
+    if (this.pushHistory) {
+      window.history.pushState({ variantId }, '', url);
+    } else {
+      window.history.replaceState({ variantId }, '', url);
+    }
+  }
+
+  /**
+   * Prefetch the render for the variant a hovered or focused pill leads to,
+   * resolving impossible combinations the same way a pick would.
+   * @param {Event} e
+   */
+  handlePillIntent(e) {
+    const input = e.target.closest('.variant-pill')?.querySelector('input[type="radio"]');
+    if (!input || input.checked || input.dataset.productUrl || !this.productData?.variants) return;
+
+    const fieldsets = [...this.querySelectorAll('fieldset.variant-options')];
+    const index = fieldsets.indexOf(input.closest('fieldset'));
+    const options = this.getSelectedOptions();
+    options[index] = input.value;
+
+    const variant = this.findVariant(options) || this.findNearestVariant(options, index);
+    if (!variant || this.renderCache.has(variant.id)) return;
+
+    this.fetchVariantFragments(variant.id).catch(() => {});
+  }
+
+  /**
+   * @returns {string[]} The checked value of each option fieldset, in option order.
+   */
+  getSelectedOptions() {
+    return [...this.querySelectorAll('fieldset.variant-options')].map((fieldset) => {
+      return fieldset.querySelector('input[type="radio"]:checked')?.value;
+    });
+  }
+
+  /**
+   * @param {string[]} options - One value per option, in option order.
+   * @returns {Object|undefined} The variant with exactly these option values.
+   */
+  findVariant(options) {
+    return this.productData.variants.find((variant) => {
+      return variant.options.every((option, index) => option === options[index]);
+    });
+  }
+
+  /**
+   * Find the variant closest to the selection that keeps the changed
+   * option's value. Matching an earlier option outweighs matching any
+   * number of later ones; availability breaks ties.
+   * @param {string[]} options - The current (impossible) selection.
+   * @param {number} fixedIndex - Index of the option the customer just changed.
+   * @returns {Object|null}
+   */
+  findNearestVariant(options, fixedIndex) {
+    let nearest = null;
+    let bestScore = -1;
+
+    this.productData.variants.forEach((variant) => {
+      if (variant.options[fixedIndex] !== options[fixedIndex]) return;
+
+      let score = variant.available ? 1 : 0;
+      variant.options.forEach((value, index) => {
+        if (index !== fixedIndex && value === options[index]) {
+          score += 2 ** (variant.options.length - index);
+        }
+      });
+
+      if (score > bestScore) {
+        nearest = variant;
+        bestScore = score;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Check the radios for the given option values.
+   * @param {string[]} options
+   */
+  selectOptions(options) {
+    this.querySelectorAll('fieldset.variant-options').forEach((fieldset, index) => {
+      fieldset.querySelectorAll('input[type="radio"]').forEach((input) => {
+        input.checked = input.value === options[index];
+      });
+    });
+  }
+
+  /**
+   * Mark each pill by the variant it would select together with the other
+   * current selections: sold out if that variant can't be bought,
+   * unavailable if it doesn't exist. Pills of other products in a combined
+   * listing keep their server-rendered state.
+   * @param {string[]} selectedOptions
+   */
+  updateOptionStates(selectedOptions) {
+    this.querySelectorAll('fieldset.variant-options').forEach((fieldset, index) => {
+      fieldset.querySelectorAll('input[type="radio"]').forEach((input) => {
+        if (input.dataset.productUrl) return;
+
+        const options = [...selectedOptions];
+        options[index] = input.value;
+        const variant = this.findVariant(options);
+
+        const pill = input.closest('.variant-pill');
+        if (!pill) return;
+
+        pill.classList.toggle('sold-out', !!variant && !variant.available);
+        pill.classList.toggle('unavailable', !variant);
+
+        const status = pill.querySelector('[data-pill-status]');
+        if (status) {
+          if (!variant) status.textContent = this.dataset.unavailableText || '';
+          else if (!variant.available) status.textContent = this.dataset.soldOutText || '';
+          else status.textContent = '';
+        }
+      });
+    });
+  }
+
+  /**
+   * Reflect the variant in the buy button before the server render arrives,
+   * and for combinations that have no variant (no render follows).
+   * @param {Object|undefined} variant
+   */
+  updateBuyButton(variant) {
+    const button = this.submitButton;
+    if (!button) return;
+
+    button.disabled = !variant?.available;
+
+    if (!variant) {
+      button.textContent = button.dataset.unavailableText;
+    } else if (!variant.available) {
+      button.textContent = button.dataset.soldText;
+    } else {
+      button.textContent = button.dataset.addText;
     }
   }
 
   /**
-   * Fetch the section's server-rendered HTML for the given variant and swap
-   * in all regions marked with data-variant-render attributes. Uses an
-   * incrementing request ID to guard against race conditions from rapid
-   * variant switching.
+   * Swap in the server-rendered regions (data-variant-render) for the given
+   * variant. A cached render is applied immediately, then revalidated in
+   * the background and re-applied only if it changed; otherwise the section
+   * is fetched via the Section Rendering API. Uses an incrementing request ID
+   * to guard against race conditions from rapid variant switching. A failed
+   * fetch leaves the current regions in place.
    * @param {number} variantId
    */
   async renderVariantSections(variantId) {
     if (!this.sectionId) return;
 
     const requestId = ++this.renderRequestId;
+    const cached = this.renderCache.get(variantId);
+
+    if (cached) {
+      this.applyFragments(cached);
+      this.classList.remove('is-loading');
+
+      this.fetchVariantFragments(variantId)
+        .then((fresh) => {
+          if (requestId !== this.renderRequestId) return;
+          const changed = Object.keys(fresh).some((name) => fresh[name] !== cached[name]);
+          if (changed) this.applyFragments(fresh);
+        })
+        .catch(() => {});
+      return;
+    }
+
     this.classList.add('is-loading');
 
     try {
+      const fragments = await this.fetchVariantFragments(variantId);
+      if (requestId !== this.renderRequestId) return;
+
+      this.applyFragments(fragments);
+    } catch {
+      // Failed render (offline, server error): keep the current regions
+    } finally {
+      if (requestId === this.renderRequestId) {
+        this.classList.remove('is-loading');
+      }
+    }
+  }
+
+  /**
+   * Fetch a variant's section render, parse out each data-variant-render
+   * region and store the result in the LRU cache. Concurrent calls for the
+   * same variant share one request.
+   * @param {number} variantId
+   * @returns {Promise<Object>} Region name → innerHTML.
+   */
+  fetchVariantFragments(variantId) {
+    if (this.renderRequests.has(variantId)) return this.renderRequests.get(variantId);
+
+    const request = (async () => {
       const response = await fetch(
         `${window.location.pathname}?variant=${variantId}&section_id=${this.sectionId}`
       );
-
-      if (!response.ok || requestId !== this.renderRequestId) return;
+      if (!response.ok) throw new Error(`Failed to render variant ${variantId}`);
 
       const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
-
-      this.querySelectorAll('[data-variant-render]').forEach((el) => {
-        const newEl = doc.querySelector(`[data-variant-render="${el.dataset.variantRender}"]`);
-        if (newEl) el.innerHTML = newEl.innerHTML;
+      const fragments = {};
+      doc.querySelectorAll('[data-variant-render]').forEach((el) => {
+        fragments[el.dataset.variantRender] = el.innerHTML;
       });
 
-      // Re-cache submit button (lives inside swapped buy-buttons region)
-      this.submitButton = this.form.querySelector('[type="submit"]');
-    } finally {
-      if (requestId === this.renderRequestId) {
-        this.classList.remove('is-loading');
+      // Re-insert to mark as most recently used, then evict the oldest
+      this.renderCache.delete(variantId);
+      this.renderCache.set(variantId, fragments);
+      if (this.renderCache.size > ProductForm.renderCacheSize) {
+        this.renderCache.delete(this.renderCache.keys().next().value);
       }
-    }
+
+      return fragments;
+    })();
+
+    this.renderRequests.set(variantId, request);
+    request.finally(() => this.renderRequests.delete(variantId)).catch(() => {});
+
+    return request;
+  }
+
+  /**
+   * Replace each data-variant-render region with its cached fragment.
+   * @param {Object} fragments - Region name → innerHTML.
+   */
+  applyFragments(fragments) {
+    this.querySelectorAll('[data-variant-render]').forEach((el) => {
+      const html = fragments[el.dataset.variantRender];
+      if (html !== undefined) el.innerHTML = html;
+    });
+
+    // Re-cache submit button (lives inside swapped buy-buttons region)
+    this.submitButton = this.form.querySelector('[type="submit"]');
   }
 
   /**
    * Handle form submission via AJAX.
-   * POST to /cart/add.js with JSON body containing items array.
-   * On success: dispatch 'cart:item-added'. If cart type is 'page', redirect.
+   * Adds the selected variant, with any line-item properties and selling
+   * plan, through the cart store (POST /cart/add.js).
+   * On success: the store notifies subscribers. If cart type is 'page', redirect.
    * On error: show inline error message.
    * @param {SubmitEvent} e
    */
   async handleSubmit(e) {
     e.preventDefault();
     this.clearError();
+
+    const properties = this.collectProperties();
+    if (!properties) return;
+
     this.submitButton.classList.add('is-loading');
     this.submitButton.disabled = true;
 
@@ -156,28 +491,17 @@ class ProductForm extends HTMLElement {
       const quantityInput = this.querySelector('input[name="quantity"]');
       const quantity = (quantityInput && parseInt(quantityInput.value)) || 1;
 
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({
-          items: [{ id: parseInt(variantId), quantity }]
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.description || 'Failed to add to cart');
-      }
+      const item = { id: parseInt(variantId), quantity };
+      if (Object.keys(properties).length > 0) item.properties = properties;
 
-      const data = await response.json();
+      const sellingPlan = this.querySelector('[name="selling_plan"]');
+      if (sellingPlan?.value) item.selling_plan = parseInt(sellingPlan.value);
 
-      // Notify other components (cart-drawer, cart-icon)
-      document.dispatchEvent(new CustomEvent('cart:item-added', {
-        detail: { items: data.items || data }
-      }));
+      // Store notifies other components (cart-drawer, cart-icon), passing
+      // along the section HTML bundled into the add response
+      await window.cartStore.add([item], {
+        sections: window.cartStore.renderedSections()
+      });
 
       // Check cart type preference: 'drawer' lets cart-drawer open itself,
       // 'page' redirects to /cart
@@ -185,7 +509,7 @@ class ProductForm extends HTMLElement {
       if (cartType === 'page') {
         window.location.href = '/cart';
       }
-      // If 'drawer', cart-drawer listens for 'cart:item-added' and opens itself
+      // If 'drawer', cart-drawer subscribes to the store and opens itself
 
     } catch (error) {
       this.showError(error.message);
@@ -193,12 +517,41 @@ class ProductForm extends HTMLElement {
       this.submitButton.classList.remove('is-loading');
       // Re-enable only if the current variant is available
       // (server-rendered buy buttons may have disabled it for sold-out variants)
-      if (this.currentVariant?.available !== false) {
+      if (this.currentVariant?.available) {
         this.submitButton.disabled = false;
       }
     }
   }
 
+  /**
+   * Validate and collect line-item property fields inside this component.
+   * Unchecked checkboxes and blank values are left out so they don't show
+   * as empty rows on the cart line.
+   * @returns {Object|null} Properties keyed by label, or null if a field is invalid.
+   */
+  collectProperties() {
+    const properties = {};
+    const fields = this.querySelectorAll('[name^="properties["]');
+
+    for (const field of fields) {
+      field.removeAttribute('aria-invalid');
+
+      if (!field.checkValidity()) {
+        field.setAttribute('aria-invalid', 'true');
+        this.showError(field.validationMessage);
+        field.focus();
+        return null;
+      }
+
+      if (field.type === 'checkbox' && !field.checked) continue;
+
+      const value = field.value.trim();
+      if (value) properties[field.name.slice(11, -1)] = value;
+    }
+
+    return properties;
+  }
+
   /**
    * Display an inline error message near the form.
    * @param {string} message
@@ -4,29 +4,80 @@
  * Wraps Embla Carousel for product media with auto-width horizontal scroll,
  * variant-driven slide changes, and video pause on slide leave.
  *
+ * 3D model slides: the first time one is selected, its <template> is swapped
+ * in and Shopify's model viewer UI is loaded (Shopify.loadFeatures) to
+ * drive it. While a model is playing, drags that start on it rotate the
+ * model instead of moving the carousel; leaving the slide pauses it and
+ * resets the camera. "View in your space" buttons are wired up by Shopify
+ * XR from the product's model JSON. A product whose only media is a model
+ * renders a single-media <product-gallery> with no slides; its model loads
+ * on connect.
+ *
+ * Optional thumbnail rail (data-thumbnails="rail" | "horizontal") runs as a
+ * second Embla instance kept in sync with the main one: the active thumbnail
+ * is highlighted (aria-current) and scrolled into view, and clicking one
+ * selects its slide. The 'rail' layout is vertical from 750px up and
+ * horizontal below, switching axis live. Thumbnails use a roving tabindex:
+ * one tab stop, arrow keys/Home/End move between them and select.
+ *
+ * With data-media-filter, slides carry data-variant-ids (from the media's
+ * alt-text tags) and only the selected variant's media is shown: on
+ * 'product:variant-changed' the other slides and thumbnails are hidden and
+ * both Embla instances re-initialised with the remaining set, renumbered
+ * from data-slide-template/data-zoom-template. A variant with no tagged
+ * media shows everything. The server renders the initial set.
+ *
  * Expected markup:
- *   <product-gallery aria-roledescription="carousel" aria-label="...">
+ *   <product-gallery aria-roledescription="carousel" aria-label="..."
+ *     data-media-filter="true" data-slide-template="Slide __NUMBER__ of __TOTAL__"
+ *     data-zoom-template="Open image __NUMBER__ in fullscreen">
  *     <div class="product-gallery-viewport">
  *       <div class="product-gallery-container">
- *         <div class="product-gallery-slide" data-media-id="..." data-media-type="...">...</div>
+ *         <div class="product-gallery-slide" data-media-id="..." data-media-type="..."
+ *           data-variant-ids="123 456">...</div>
+ *         <div class="product-gallery-slide" data-media-type="model">
+ *           <img> <template data-model-template><model-viewer></template>
+ *           <button data-shopify-xr data-shopify-model3d-id="..." data-shopify-xr-hidden>...</button>
+ *         </div>
  *       </div>
  *     </div>
  *     <div class="product-gallery-controls">
  *       <button class="product-gallery-prev">...</button>
  *       <button class="product-gallery-next">...</button>
  *     </div>
+ *     <div class="product-gallery-thumbs">
+ *       <div class="product-gallery-thumbs-viewport">
+ *         <div class="product-gallery-thumbs-container">
+ *           <button class="product-gallery-thumb">...</button>
+ *         </div>
+ *       </div>
+ *     </div>
  *     <div class="product-gallery-live-region" aria-live="polite"></div>
+ *     <script type="application/json" data-model-json>[...]</script>
  *   </product-gallery>
  */
 class ProductGallery extends HTMLElement {
   connectedCallback() {
-    this.slides = this.querySelectorAll('.product-gallery-slide');
+    this.allSlides = Array.from(this.querySelectorAll('.product-gallery-slide'));
+    this.slides = this.allSlides.filter((slide) => !slide.hidden);
     this.liveRegion = this.querySelector('.product-gallery-live-region');
     this.viewport = this.querySelector('.product-gallery-viewport');
     this.prevBtn = this.querySelector('.product-gallery-prev');
     this.nextBtn = this.querySelector('.product-gallery-next');
+    this.thumbsViewport = this.querySelector('.product-gallery-thumbs-viewport');
+    this.allThumbs = Array.from(this.querySelectorAll('.product-gallery-thumb'));
+    this.thumbs = this.allThumbs.filter((thumb) => !thumb.hidden);
 
-    if (this.slides.length < 2) return;
+    this.models = new Map();
+    this.playingModel = null;
+    if (this.querySelector('[data-model-json]')) this._setupXR();
+
+    // Single media: no carousel, but a lone 3D model is the visible media,
+    // so it loads right away
+    if (this.allSlides.length < 2) {
+      this._loadModel(this);
+      return;
+    }
 
     if (typeof window.EmblaCarousel === 'undefined') {
       const script = document.querySelector('script[src*="embla-carousel"]');
@@ -43,7 +94,9 @@ class ProductGallery extends HTMLElement {
     this.embla = window.EmblaCarousel(this.viewport, {
       align: 'center',
       containScroll: false,
-      loop: true
+      loop: true,
+      slides: this.slides,
+      watchDrag: (api, event) => !this._isModelDrag(event)
     });
 
     this.classList.add('is-initialized');
@@ -60,9 +113,86 @@ class ProductGallery extends HTMLElement {
     if (this.prevBtn) this.prevBtn.addEventListener('click', this._onPrevClick);
     if (this.nextBtn) this.nextBtn.addEventListener('click', this._onNextClick);
 
+    if (this.thumbsViewport) this._initThumbs();
+
     this._onSlideChange();
   }
 
+  _initThumbs() {
+    // 'rail' is vertical on desktop; 'horizontal' always scrolls on x
+    this._railQuery = this.dataset.thumbnails === 'rail'
+      ? window.matchMedia('(min-width: 750px)')
+      : null;
+
+    this.thumbsEmbla = window.EmblaCarousel(this.thumbsViewport, {
+      axis: this._railQuery?.matches ? 'y' : 'x',
+      containScroll: 'keepSnaps',
+      dragFree: true,
+      slides: this.thumbs
+    });
+
+    this._onRailChange = () => {
+      this.thumbsEmbla.reInit({ axis: this._railQuery.matches ? 'y' : 'x' });
+    };
+    this._onThumbClick = (e) => {
+      const thumb = e.target.closest('.product-gallery-thumb');
+      if (thumb) this.embla.scrollTo(this.thumbs.indexOf(thumb));
+    };
+    this._onThumbKeydown = this._handleThumbKeydown.bind(this);
+
+    this._railQuery?.addEventListener('change', this._onRailChange);
+    this.thumbsViewport.addEventListener('click', this._onThumbClick);
+    this.thumbsViewport.addEventListener('keydown', this._onThumbKeydown);
+  }
+
+  /**
+   * Roving tabindex: arrows (either axis), Home and End move focus to
+   * another thumbnail and select its slide.
+   * @param {KeyboardEvent} e
+   */
+  _handleThumbKeydown(e) {
+    const thumb = e.target.closest('.product-gallery-thumb');
+    if (!thumb) return;
+
+    const current = this.thumbs.indexOf(thumb);
+    const last = this.thumbs.length - 1;
+    const targets = {
+      ArrowLeft: current - 1,
+      ArrowUp: current - 1,
+      ArrowRight: current + 1,
+      ArrowDown: current + 1,
+      Home: 0,
+      End: last
+    };
+
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+
+    const index = Math.min(last, Math.max(0, targets[e.key]));
+    this.embla.scrollTo(index);
+    this.thumbs[index].focus();
+  }
+
+  /**
+   * Highlight the active thumbnail, make it the single tab stop and scroll
+   * the rail to keep it in view.
+   * @param {number} index
+   */
+  _syncThumbs(index) {
+    this.thumbs.forEach((thumb, i) => {
+      const active = i === index;
+      thumb.classList.toggle('is-active', active);
+      thumb.tabIndex = active ? 0 : -1;
+      if (active) {
+        thumb.setAttribute('aria-current', 'true');
+      } else {
+        thumb.removeAttribute('aria-current');
+      }
+    });
+
+    this.thumbsEmbla.scrollTo(index);
+  }
+
   disconnectedCallback() {
     if (this.embla) {
       this.embla.off('select', this._onSelect);
@@ -70,6 +200,13 @@ class ProductGallery extends HTMLElement {
       this.embla.destroy();
     }
 
+    if (this.thumbsEmbla) {
+      this.thumbsEmbla.destroy();
+      this._railQuery?.removeEventListener('change', this._onRailChange);
+      this.thumbsViewport.removeEventListener('click', this._onThumbClick);
+      this.thumbsViewport.removeEventListener('keydown', this._onThumbKeydown);
+    }
+
     document.removeEventListener('product:variant-changed', this._onVariantChanged);
     if (this.prevBtn) this.prevBtn.removeEventListener('click', this._onPrevClick);
     if (this.nextBtn) this.nextBtn.removeEventListener('click', this._onNextClick);
@@ -84,6 +221,10 @@ class ProductGallery extends HTMLElement {
       this._pauseSlideMedia(previousIndex);
     }
 
+    if (this.slides[index] && this.slides[index].dataset.mediaType === 'model') {
+      this._loadModel(this.slides[index]);
+    }
+
     // Update slides aria-hidden
     this.slides.forEach(function (slide, i) {
       if (i === index) {
@@ -93,6 +234,8 @@ class ProductGallery extends HTMLElement {
       }
     });
 
+    if (this.thumbsEmbla) this._syncThumbs(index);
+
     // Update arrow disabled states
     if (this.prevBtn) this.prevBtn.disabled = !this.embla.canScrollPrev();
     if (this.nextBtn) this.nextBtn.disabled = !this.embla.canScrollNext();
@@ -107,10 +250,14 @@ class ProductGallery extends HTMLElement {
   }
 
   _handleVariantChange(variant) {
-    if (!variant || !variant.featured_media) return;
+    if (!variant) return;
+
+    if (this.dataset.mediaFilter === 'true') this._filterMedia(variant);
+
+    if (!variant.featured_media) return;
 
     var mediaId = String(variant.featured_media.id);
-    var slideIndex = Array.from(this.slides).findIndex(
+    var slideIndex = this.slides.findIndex(
       function (slide) { return slide.dataset.mediaId === mediaId; }
     );
 
@@ -119,12 +266,162 @@ class ProductGallery extends HTMLElement {
     }
   }
 
+  /**
+   * The slides tagged for a variant, or every slide when none is.
+   * @param {Object} variant
+   * @returns {HTMLElement[]}
+   */
+  slidesForVariant(variant) {
+    var variantId = String(variant.id);
+    var tagged = this.allSlides.filter(function (slide) {
+      return (slide.dataset.variantIds || '').split(' ').includes(variantId);
+    });
+
+    return tagged.length > 0 ? tagged : this.allSlides;
+  }
+
+  /**
+   * Swap the carousel (and thumbnail rail) to the variant's media set.
+   * @param {Object} variant
+   */
+  _filterMedia(variant) {
+    var slides = this.slidesForVariant(variant);
+    var unchanged = slides.length === this.slides.length &&
+      slides.every(function (slide, i) { return slide === this.slides[i]; }, this);
+    if (unchanged) return;
+
+    // The current slide may be about to disappear with its video playing
+    this._pauseSlideMedia(this.embla.selectedScrollSnap());
+
+    this.allSlides.forEach(function (slide) {
+      slide.hidden = !slides.includes(slide);
+    });
+    this.allThumbs.forEach(function (thumb, i) {
+      thumb.hidden = this.allSlides[i].hidden;
+    }, this);
+
+    this.slides = slides;
+    this.thumbs = this.allThumbs.filter(function (thumb) { return !thumb.hidden; });
+    this._renumber();
+
+    this.embla.reInit({ slides: this.slides });
+    if (this.thumbsEmbla) this.thumbsEmbla.reInit({ slides: this.thumbs });
+  }
+
+  /**
+   * Rewrite slide, thumbnail and zoom button labels for the current set.
+   */
+  _renumber() {
+    var total = this.slides.length;
+    var slideTemplate = this.dataset.slideTemplate;
+    var zoomTemplate = this.dataset.zoomTemplate;
+
+    var label = function (template, i) {
+      return template.replace('__NUMBER__', i + 1).replace('__TOTAL__', total);
+    };
+
+    this.slides.forEach(function (slide, i) {
+      slide.setAttribute('aria-label', label(slideTemplate, i));
+      var zoom = slide.querySelector('[data-lightbox-open]');
+      if (zoom) zoom.setAttribute('aria-label', label(zoomTemplate, i));
+    });
+    this.thumbs.forEach(function (thumb, i) {
+      thumb.setAttribute('aria-label', label(slideTemplate, i));
+    });
+  }
+
+  /**
+   * Swap a model slide's template in and attach Shopify's model viewer UI.
+   * Runs once per slide.
+   * @param {HTMLElement} slide - The model's slide, or the gallery itself
+   *   for single media.
+   */
+  _loadModel(slide) {
+    var template = slide.querySelector('[data-model-template]');
+    if (!template || !window.Shopify || !window.Shopify.loadFeatures) return;
+
+    var container = template.parentElement;
+    container.replaceChildren(template.content.cloneNode(true));
+
+    var modelViewer = container.querySelector('model-viewer');
+    if (!modelViewer) return;
+
+    var model = {
+      viewer: modelViewer,
+      ui: null,
+      orbit: modelViewer.getAttribute('camera-orbit') || '0deg 75deg 105%'
+    };
+    this.models.set(slide, model);
+
+    modelViewer.addEventListener('shopify_model_viewer_ui_toggle_play', () => {
+      this.playingModel = modelViewer;
+    });
+    modelViewer.addEventListener('shopify_model_viewer_ui_toggle_pause', () => {
+      if (this.playingModel === modelViewer) this.playingModel = null;
+    });
+
+    window.Shopify.loadFeatures([{
+      name: 'model-viewer-ui',
+      version: '1.0',
+      onLoad: function (errors) {
+        if (errors) return;
+        model.ui = new window.Shopify.ModelViewerUI(modelViewer);
+      }
+    }]);
+  }
+
+  /**
+   * Embla watchDrag filter: drags starting on the playing model rotate it.
+   * @param {PointerEvent} event
+   * @returns {boolean}
+   */
+  _isModelDrag(event) {
+    return Boolean(this.playingModel && this.playingModel.contains(event.target));
+  }
+
+  /**
+   * Register the product's models with Shopify XR, which reveals the
+   * [data-shopify-xr] buttons on devices that support AR.
+   */
+  _setupXR() {
+    if (!window.Shopify || !window.Shopify.loadFeatures) return;
+
+    var setup = (errors) => {
+      if (errors) return;
+
+      if (!window.ShopifyXR) {
+        document.addEventListener('shopify_xr_initialized', () => setup(), { once: true });
+        return;
+      }
+
+      var json = this.querySelector('[data-model-json]');
+      if (!json) return;
+
+      window.ShopifyXR.addModels(JSON.parse(json.textContent));
+      window.ShopifyXR.setupXRElements();
+    };
+
+    window.Shopify.loadFeatures([{ name: 'shopify-xr', version: '1.0', onLoad: setup }]);
+  }
+
   _pauseSlideMedia(index) {
     var slide = this.slides[index];
     if (!slide) return;
 
     var mediaType = slide.dataset.mediaType;
 
+    if (mediaType === 'model') {
+      var model = this.models.get(slide);
+      if (!model) return;
+
+      if (model.ui) model.ui.pause();
+      if (this.playingModel === model.viewer) this.playingModel = null;
+
+      model.viewer.cameraOrbit = model.orbit;
+      if (model.viewer.jumpCameraToGoal) model.viewer.jumpCameraToGoal();
+      if (model.viewer.resetTurntableRotation) model.viewer.resetTurntableRotation();
+    }
+
     if (mediaType === 'video') {
       var video = slide.querySelector('video');
       if (video) video.pause();
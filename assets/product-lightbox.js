@@ -0,0 +1,418 @@
+/**
+ * Product Lightbox Web Component
+ * Accessibility (focus trap, ARIA): .claude/conventions/accessibility.md
+ *
+ * Fullscreen view of the product images, rendered inside product-gallery
+ * (or the single-media wrapper). Opens from any [data-lightbox-open] trigger
+ * or image click in its parent, at that image. Supports:
+ *   - Zoom: pinch, wheel, double-click/double-tap, +/- keys and buttons
+ *     (1x–4x, anchored at the pointer).
+ *   - Pan: drag while zoomed, clamped to the image edges.
+ *   - Navigation: arrow keys, prev/next buttons, horizontal swipe at 1x.
+ *   - Swipe down or up at 1x on touch to close; Escape closes.
+ * Behaves as a modal dialog: focus moves in on open, Tab is trapped, body
+ * scroll is locked and focus returns to the trigger on close.
+ *
+ * Stays in sync with the carousel: navigating here jumps product-gallery's
+ * Embla instance to the same media, and 'product:variant-changed' moves an
+ * open lightbox to the variant's featured image. In a gallery with
+ * data-media-filter only the images of its current media set (or, on a
+ * variant change, the new variant's set) are navigable.
+ *
+ * Expected markup:
+ *   <product-lightbox role="dialog" aria-modal="true" aria-label="..." aria-hidden="true"
+ *     data-status-template="Slide __NUMBER__ of __TOTAL__">
+ *     <div data-stage>
+ *       <figure class="product-lightbox-slide" data-media-id="..." hidden><img></figure>
+ *     </div>
+ *     <button data-zoom-out></button> <button data-zoom-in></button> <button data-close></button>
+ *     <button data-prev></button> <button data-next></button>
+ *     <p data-status aria-live="polite"></p>
+ *   </product-lightbox>
+ */
+class ProductLightbox extends HTMLElement {
+  connectedCallback() {
+    this.stage = this.querySelector('[data-stage]');
+    this.allSlides = Array.from(this.querySelectorAll('.product-lightbox-slide'));
+    this.slides = this.allSlides;
+    this.status = this.querySelector('[data-status]');
+    this.gallery = this.closest('product-gallery');
+    this.trigger = this.parentElement;
+
+    this.index = 0;
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.lastTap = 0;
+
+    this._onTriggerClick = this._handleTriggerClick.bind(this);
+    this._onKeydown = this._handleKeydown.bind(this);
+    this._onVariantChanged = (e) => this._handleVariantChange(e.detail.variant);
+
+    this.trigger.addEventListener('click', this._onTriggerClick);
+    document.addEventListener('product:variant-changed', this._onVariantChanged);
+
+    this.querySelector('[data-close]')?.addEventListener('click', () => this.close());
+    this.querySelector('[data-prev]')?.addEventListener('click', () => this.show(this.index - 1));
+    this.querySelector('[data-next]')?.addEventListener('click', () => this.show(this.index + 1));
+    this.querySelector('[data-zoom-in]')?.addEventListener('click', () => this.zoomBy(1.5));
+    this.querySelector('[data-zoom-out]')?.addEventListener('click', () => this.zoomBy(1 / 1.5));
+
+    this.stage.addEventListener('pointerdown', (e) => this._handlePointerDown(e));
+    this.stage.addEventListener('pointermove', (e) => this._handlePointerMove(e));
+    this.stage.addEventListener('pointerup', (e) => this._handlePointerUp(e));
+    this.stage.addEventListener('pointercancel', (e) => this._handlePointerUp(e));
+    this.stage.addEventListener('wheel', (e) => this._handleWheel(e), { passive: false });
+    this.stage.addEventListener('dblclick', (e) => this._toggleZoom(e.clientX, e.clientY));
+  }
+
+  disconnectedCallback() {
+    this.trigger?.removeEventListener('click', this._onTriggerClick);
+    document.removeEventListener('product:variant-changed', this._onVariantChanged);
+    document.removeEventListener('keydown', this._onKeydown);
+    document.body.classList.remove('lightbox-open');
+  }
+
+  get isOpen() {
+    return this.classList.contains('is-open');
+  }
+
+  /**
+   * Open at the image with the given media ID.
+   * @param {string} mediaId
+   */
+  open(mediaId) {
+    this._updateSlides(this.gallery?.slides);
+
+    const index = this.slides.findIndex((slide) => slide.dataset.mediaId === String(mediaId));
+    if (index === -1) return;
+
+    this.previouslyFocused = document.activeElement;
+
+    this.classList.add('is-open');
+    this.setAttribute('aria-hidden', 'false');
+    document.body.classList.add('lightbox-open');
+    document.addEventListener('keydown', this._onKeydown);
+
+    this.show(index);
+    this.querySelector('[data-close]')?.focus();
+  }
+
+  close() {
+    this.classList.remove('is-open', 'is-zoomed');
+    this.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('lightbox-open');
+    document.removeEventListener('keydown', this._onKeydown);
+    this.pointers.clear();
+
+    if (this.previouslyFocused) {
+      this.previouslyFocused.focus();
+      this.previouslyFocused = null;
+    }
+  }
+
+  /**
+   * Show the image at an index (wrapping), reset zoom, and move the
+   * carousel to the same media.
+   * @param {number} index
+   */
+  show(index) {
+    const count = this.slides.length;
+    this.index = ((index % count) + count) % count;
+
+    const current = this.slides[this.index];
+    this.allSlides.forEach((slide) => {
+      slide.hidden = slide !== current;
+    });
+
+    this.resetZoom(false);
+
+    if (this.status && count > 1) {
+      this.status.textContent = this.dataset.statusTemplate
+        .replace('__NUMBER__', this.index + 1)
+        .replace('__TOTAL__', count);
+    }
+
+    this._syncGallery();
+  }
+
+  /**
+   * Jump the carousel to the media shown here, without animating it
+   * behind the lightbox.
+   */
+  _syncGallery() {
+    if (!this.gallery?.embla) return;
+
+    const mediaId = this.slides[this.index].dataset.mediaId;
+    const galleryIndex = Array.from(this.gallery.slides).findIndex(
+      (slide) => slide.dataset.mediaId === mediaId
+    );
+
+    if (galleryIndex !== -1 && galleryIndex !== this.gallery.embla.selectedScrollSnap()) {
+      this.gallery.embla.scrollTo(galleryIndex, true);
+    }
+  }
+
+  _handleTriggerClick(e) {
+    if (this.contains(e.target)) return;
+
+    const button = e.target.closest('[data-lightbox-open]');
+    if (button) {
+      this.open(button.dataset.lightboxOpen);
+      return;
+    }
+
+    // Clicking the image itself (Embla swallows clicks that end a drag)
+    const image = e.target.closest('img');
+    const slide = image?.closest('[data-media-id], .product-gallery-single');
+    const slideButton = slide?.querySelector('[data-lightbox-open]');
+    if (slideButton) this.open(slideButton.dataset.lightboxOpen);
+  }
+
+  _handleVariantChange(variant) {
+    if (!this.isOpen || !variant) return;
+
+    const currentId = this.slides[this.index].dataset.mediaId;
+    const changed = this._updateSlides(this.gallery?.slidesForVariant?.(variant));
+    const featuredId = variant.featured_media ? String(variant.featured_media.id) : null;
+    const index = this.slides.findIndex((slide) => slide.dataset.mediaId === featuredId);
+
+    if (index !== -1) {
+      this.show(index);
+    } else if (changed) {
+      this.show(Math.max(0, this.slides.findIndex((slide) => slide.dataset.mediaId === currentId)));
+    }
+  }
+
+  /**
+   * Limit navigation to the images among a filtered gallery's slides
+   * (all images when none of them is one).
+   * @param {HTMLElement[]} [gallerySlides]
+   * @returns {boolean} Whether the navigable set changed
+   */
+  _updateSlides(gallerySlides) {
+    if (this.gallery?.dataset.mediaFilter !== 'true' || !gallerySlides) return false;
+
+    const mediaIds = new Set(gallerySlides.map((slide) => slide.dataset.mediaId));
+    const matching = this.allSlides.filter((slide) => mediaIds.has(slide.dataset.mediaId));
+    const slides = matching.length > 0 ? matching : this.allSlides;
+
+    if (slides.length === this.slides.length && slides.every((slide, i) => slide === this.slides[i])) {
+      return false;
+    }
+
+    this.slides = slides;
+    this.querySelectorAll('[data-prev], [data-next]').forEach((button) => {
+      button.hidden = slides.length < 2;
+    });
+    return true;
+  }
+
+  /**
+   * Escape closes, arrows navigate, +/-/0 zoom, Tab is trapped.
+   * @param {KeyboardEvent} e
+   */
+  _handleKeydown(e) {
+    switch (e.key) {
+      case 'Escape':
+        this.close();
+        return;
+      case 'ArrowLeft':
+        this.show(this.index - 1);
+        return;
+      case 'ArrowRight':
+        this.show(this.index + 1);
+        return;
+      case '+':
+      case '=':
+        this.zoomBy(1.5);
+        return;
+      case '-':
+        this.zoomBy(1 / 1.5);
+        return;
+      case '0':
+        this.resetZoom(true);
+        return;
+      case 'Tab':
+        this._trapFocus(e);
+        return;
+    }
+  }
+
+  _trapFocus(e) {
+    const focusable = Array.from(this.querySelectorAll('button:not([disabled])'));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!this.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // ---- Zoom and pan ----
+
+  get image() {
+    return this.slides[this.index]?.querySelector('img');
+  }
+
+  /**
+   * Zoom by a factor around the stage centre (buttons and keys).
+   * @param {number} factor
+   */
+  zoomBy(factor) {
+    const rect = this.stage.getBoundingClientRect();
+    this._animate();
+    this.zoomTo(this.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  /**
+   * Zoom to a scale, keeping the image point under (clientX, clientY) fixed.
+   * @param {number} scale - Clamped to 1–4.
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  zoomTo(scale, clientX, clientY) {
+    const nextScale = Math.min(4, Math.max(1, scale));
+    const rect = this.stage.getBoundingClientRect();
+    const pointX = clientX - (rect.left + rect.width / 2);
+    const pointY = clientY - (rect.top + rect.height / 2);
+    const ratio = nextScale / this.scale;
+
+    this.x = pointX - (pointX - this.x) * ratio;
+    this.y = pointY - (pointY - this.y) * ratio;
+    this.scale = nextScale;
+
+    this._render();
+  }
+
+  /**
+   * @param {boolean} animate
+   */
+  resetZoom(animate) {
+    if (animate) this._animate();
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this._render();
+  }
+
+  _toggleZoom(clientX, clientY) {
+    this._animate();
+    if (this.scale > 1) {
+      this.resetZoom(true);
+    } else {
+      this.zoomTo(2.5, clientX, clientY);
+    }
+  }
+
+  /**
+   * Ease the next transform change (buttons, keys, double-tap), but not
+   * pointer-driven ones that must follow the finger.
+   */
+  _animate() {
+    this.classList.add('is-animating');
+    clearTimeout(this._animateTimer);
+    this._animateTimer = setTimeout(() => this.classList.remove('is-animating'), 200);
+  }
+
+  /**
+   * Clamp the pan so the image edges can't move inside the stage, then
+   * apply the transform.
+   */
+  _render() {
+    const image = this.image;
+    if (!image) return;
+
+    const maxX = Math.max(0, (image.offsetWidth * this.scale - this.stage.clientWidth) / 2);
+    const maxY = Math.max(0, (image.offsetHeight * this.scale - this.stage.clientHeight) / 2);
+    this.x = Math.min(maxX, Math.max(-maxX, this.x));
+    this.y = Math.min(maxY, Math.max(-maxY, this.y));
+
+    image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    this.classList.toggle('is-zoomed', this.scale > 1);
+  }
+
+  _handleWheel(e) {
+    e.preventDefault();
+    this.zoomTo(this.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+  }
+
+  _handlePointerDown(e) {
+    this.stage.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2) {
+      const [a, b] = this.pointers.values();
+      this.pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.scale };
+      this.drag = null;
+    } else if (this.pointers.size === 1) {
+      this.drag = { x: e.clientX, y: e.clientY, startX: this.x, startY: this.y, type: e.pointerType };
+    }
+  }
+
+  _handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2 && this.pinch) {
+      const [a, b] = this.pointers.values();
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      this.zoomTo(this.pinch.scale * (distance / this.pinch.distance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+      return;
+    }
+
+    if (this.drag && this.scale > 1) {
+      this.x = this.drag.startX + (e.clientX - this.drag.x);
+      this.y = this.drag.startY + (e.clientY - this.drag.y);
+      this._render();
+    }
+  }
+
+  _handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+
+    if (this.pointers.size < 2) this.pinch = null;
+
+    const drag = this.drag;
+    if (!drag || this.pointers.size > 0) return;
+    this.drag = null;
+
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    const moved = Math.hypot(dx, dy);
+
+    // Double-tap to zoom on touch (mouse uses dblclick)
+    if (drag.type !== 'mouse' && moved < 10) {
+      const now = Date.now();
+      if (now - this.lastTap < 300) {
+        this._toggleZoom(e.clientX, e.clientY);
+        this.lastTap = 0;
+      } else {
+        this.lastTap = now;
+      }
+      return;
+    }
+
+    if (this.scale > 1 || e.type === 'pointercancel') return;
+
+    // Swipes at 1x: vertical closes (touch only), horizontal navigates
+    if (drag.type !== 'mouse' && Math.abs(dy) > 100 && Math.abs(dy) > Math.abs(dx)) {
+      this.close();
+    } else if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+      this.show(dx < 0 ? this.index + 1 : this.index - 1);
+    }
+  }
+}
+
+customElements.define('product-lightbox', ProductLightbox);
@@ -2,8 +2,9 @@
  * Quick Add Web Component
  *
  * Renders inside product cards for single-variant products.
- * Posts to /cart/add.js via AJAX and dispatches 'cart:item-added'
- * so the cart drawer (or cart icon) can react. On error, navigates
+ * Adds the variant through the cart store (cart-store.js), which notifies
+ * the cart drawer and cart icon. Requests every registered cart section in
+ * the add call, so they render from the same response. On error, navigates
  * to the product page as a graceful fallback.
  *
  * Expected markup:
@@ -26,24 +27,9 @@ class QuickAdd extends HTMLElement {
     this.button.disabled = true;
 
     try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: JSON.stringify({ items: [{ id: variantId, quantity: 1 }] })
+      await window.cartStore.add([{ id: variantId, quantity: 1 }], {
+        sections: window.cartStore.renderedSections()
       });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description);
-      }
-
-      const data = await response.json();
-      document.dispatchEvent(new CustomEvent('cart:item-added', {
-        detail: { items: data.items || data }
-      }));
     } catch (error) {
       const card = this.closest('.product-card') || this.closest('.upsell-card');
       window.location.href = card?.querySelector('a')?.href;
@@ -2,45 +2,121 @@
  * Search Drawer Web Component
  *
  * Slide-from-right drawer with predictive search. Fetches results from
- * Shopify's Predictive Search API (/search/suggest.json) as the user types,
- * with debounce and race-condition guarding. The form still submits to
- * /search as a progressive-enhancement fallback.
+ * Shopify's Predictive Search API as the user types, with debounce and
+ * race-condition guarding. Results are rendered by the section named in
+ * data-results-section (/search/suggest?section_id=...), so products use
+ * the theme's product card; if that request fails the drawer falls back to
+ * /search/suggest.json and builds the results itself. The form still
+ * submits to /search as a progressive-enhancement fallback.
+ *
+ * A new search aborts the one in flight (AbortController). Responses are
+ * cached in sessionStorage by normalized query (trimmed, lowercased,
+ * single-spaced; the last SearchDrawer.cacheSize queries, not in the theme
+ * editor), so repeated queries render without waiting for the debounce or
+ * the network. A failed search shows [data-error] with a retry button
+ * (offline gets its own message) and retries by itself when the browser
+ * comes back online.
+ *
+ * Results show a row of query suggestions, then product, collection,
+ * article and page groups in the order given by data-resource-order, each
+ * capped by its data-limit-* (0 leaves the type out of the request), on
+ * either path. The query's words are highlighted with <mark> in every
+ * title.
+ *
+ * The input is a combobox over the results listbox: Up/Down move the
+ * active option across all groups (wrapping, tracked with
+ * aria-activedescendant while focus stays in the input), Enter opens the
+ * active option or submits the form when there is none, and Escape clears
+ * the active option before closing the drawer. Options are out of the Tab
+ * order. A visually hidden status announces the result count.
+ *
+ * Until two characters are typed the listbox shows suggestions instead:
+ * the shopper's recent searches (localStorage, newest first, capped at
+ * SearchDrawer.maxRecent) followed by the merchant's popular searches and
+ * collections from [data-suggestions-template]. Recent searches are
+ * removed one at a time with their remove button or the Delete key on the
+ * active option, or all at once with the "clear" option. A search is
+ * recorded on form submit, on opening a result, and on picking a
+ * suggested term.
  *
  * Expected markup:
  *   <search-drawer id="search-drawer" role="dialog" aria-modal="true" aria-hidden="true"
  *     data-products-heading="Products" data-articles-heading="Articles"
  *     data-pages-heading="Pages" data-view-all-text="View all results"
- *     data-no-results-template='No results for "__TERMS__"'>
+ *     data-collections-heading="Collections" data-queries-heading="Suggestions"
+ *     data-results-section="predictive-search"
+ *     data-resource-order="products,collections,articles,pages"
+ *     data-limit-queries="4" data-limit-products="4" data-limit-collections="3"
+ *     data-limit-articles="2" data-limit-pages="2"
+ *     data-no-results-template='No results for "__TERMS__"'
+ *     data-count-one-template='1 result for "__TERMS__"'
+ *     data-count-other-template='__COUNT__ results for "__TERMS__"'
+ *     data-recent-heading="Recent searches" data-clear-recent-text="Clear recent searches"
+ *     data-remove-recent-template='Remove "__TERMS__"' data-recent-removed-template='"__TERMS__" removed'
+ *     data-recent-cleared-text="Recent searches cleared"
+ *     data-error-text="Search results couldn't be loaded." data-offline-text="You're offline.">
  *     <div class="search-drawer-overlay" data-overlay></div>
  *     <div class="search-drawer-panel">
  *       <div class="search-drawer-header">...</div>
  *       <div class="search-drawer-body">
  *         <form role="search">
- *           <input data-input type="search" name="q">
+ *           <input data-input type="search" name="q" role="combobox"
+ *             aria-expanded="false" aria-controls="search-drawer-results">
  *         </form>
- *         <div data-results aria-live="polite"></div>
+ *         <div id="search-drawer-results" role="listbox" data-results></div>
  *         <div data-empty hidden></div>
+ *         <div data-error hidden><p data-error-message></p><button data-retry>...</button></div>
+ *         <p role="status" data-status></p>
+ *         <p id="search-drawer-recent-hint">Press Delete to remove a recent search</p>
+ *         <template data-suggestions-template>
+ *           <div role="group">... <a role="option" data-search-term="...">...</a></div>
+ *         </template>
  *       </div>
  *     </div>
  *   </search-drawer>
  */
 class SearchDrawer extends HTMLElement {
+  static storageKey = 'recent-searches';
+  static maxRecent = 5;
+  static cacheKey = 'predictive-search-cache';
+  static cacheSize = 20;
+
   connectedCallback() {
     this.overlay = this.querySelector('[data-overlay]');
     this.closeBtn = this.querySelector('[data-close]');
     this.input = this.querySelector('[data-input]');
     this.resultsContainer = this.querySelector('[data-results]');
     this.emptyContainer = this.querySelector('[data-empty]');
+    this.status = this.querySelector('[data-status]');
+    this.errorContainer = this.querySelector('[data-error]');
+    this.errorMessage = this.querySelector('[data-error-message]');
+    this.form = this.querySelector('form');
+    this.suggestionsTemplate = this.querySelector('[data-suggestions-template]');
     this.previouslyFocused = null;
     this.requestId = 0;
+    this.groupCount = 0;
     this.debounceTimer = null;
+    this.abortController = null;
+    this.failedQuery = null;
 
     this.handleKeydown = this.handleKeydown.bind(this);
+    this._onOnline = () => {
+      if (this.failedQuery) this.fetchResults(this.failedQuery);
+    };
 
     this.closeBtn?.addEventListener('click', () => this.close());
     this.overlay?.addEventListener('click', () => this.close());
 
     this.input?.addEventListener('input', () => this.onInput());
+    this.input?.addEventListener('keydown', (e) => this.onInputKeydown(e));
+    this.resultsContainer?.addEventListener('click', (e) => this.onResultsClick(e));
+    this.form?.addEventListener('submit', () => {
+      SearchDrawer.rememberRecent(this.input.value.trim());
+    });
+    this.querySelector('[data-retry]')?.addEventListener('click', () => {
+      if (this.failedQuery) this.fetchResults(this.failedQuery);
+    });
+    window.addEventListener('online', this._onOnline);
 
     // Wire up the trigger button in the header
     this.trigger = document.querySelector('[aria-controls="search-drawer"]');
@@ -61,6 +137,8 @@ class SearchDrawer extends HTMLElement {
 
   disconnectedCallback() {
     if (this.debounceTimer) clearTimeout(this.debounceTimer);
+    this.abortController?.abort();
+    window.removeEventListener('online', this._onOnline);
 
     if (Shopify.designMode) {
       document.removeEventListener('shopify:section:select', this._onSectionSelect);
@@ -89,6 +167,8 @@ class SearchDrawer extends HTMLElement {
     if (this.input) {
       this.input.focus();
       this.input.select();
+
+      if (this.input.value.trim().length < 2) this.showSuggestions();
     }
   }
 
@@ -118,7 +198,7 @@ class SearchDrawer extends HTMLElement {
     if (e.key !== 'Tab') return;
 
     const focusableElements = this.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+      'button, [href]:not([tabindex="-1"]), input, select, textarea, [tabindex]:not([tabindex="-1"])'
     );
 
     if (focusableElements.length === 0) return;
@@ -135,13 +215,137 @@ class SearchDrawer extends HTMLElement {
     }
   }
 
+  /**
+   * Combobox keys: arrows move the active option, Enter opens it, Escape
+   * clears it (and only closes the drawer when nothing is active).
+   * @param {KeyboardEvent} e
+   */
+  onInputKeydown(e) {
+    const options = this.getOptions();
+    const current = options.findIndex((option) => option.id === this.input.getAttribute('aria-activedescendant'));
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        if (options.length === 0) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const start = current === -1 && step === -1 ? 0 : current;
+        this.setActiveOption(options[(start + step + options.length) % options.length]);
+        break;
+      }
+      case 'Enter': {
+        if (current === -1) return;
+        e.preventDefault();
+        // Product card options wrap their link
+        const option = options[current];
+        const target = option.matches('a') ? option : option.querySelector('a') || option;
+        target.click();
+        break;
+      }
+      case 'Escape':
+        if (current === -1) return;
+        e.stopPropagation();
+        this.setActiveOption(null);
+        break;
+      case 'Delete':
+        if (current === -1 || !options[current].hasAttribute('data-recent')) return;
+        e.preventDefault();
+        this.removeRecent(options[current].dataset.searchTerm, current);
+        break;
+    }
+  }
+
+  /**
+   * Recent-search controls, and recording the search behind an opened
+   * result or suggested term.
+   * @param {MouseEvent} e
+   */
+  onResultsClick(e) {
+    const removeButton = e.target.closest('[data-remove-recent]');
+    if (removeButton) {
+      e.preventDefault();
+      this.removeRecent(removeButton.dataset.removeRecent);
+      return;
+    }
+
+    if (e.target.closest('[data-clear-recent]')) {
+      SearchDrawer.clearRecent();
+      this.showSuggestions();
+      this.announce(this.dataset.recentClearedText || '');
+      this.input.focus();
+      return;
+    }
+
+    const option = e.target.closest('[role="option"]');
+    if (!option) return;
+
+    SearchDrawer.rememberRecent(option.dataset.searchTerm || this.input.value.trim());
+  }
+
+  /**
+   * Drop one recent search and re-render, keeping the active position.
+   * @param {string} term
+   * @param {number} [activeIndex] - Option index to re-activate (keyboard removal)
+   */
+  removeRecent(term, activeIndex = -1) {
+    SearchDrawer.forgetRecent(term);
+    this.showSuggestions();
+
+    const options = this.getOptions();
+    if (activeIndex !== -1 && options.length > 0) {
+      this.setActiveOption(options[Math.min(activeIndex, options.length - 1)]);
+    }
+
+    const template = this.dataset.recentRemovedTemplate;
+    if (template) this.announce(template.replace('__TERMS__', term));
+    this.input.focus();
+  }
+
+  /**
+   * @returns {HTMLElement[]}
+   */
+  getOptions() {
+    return Array.from(this.resultsContainer.querySelectorAll('[role="option"]'));
+  }
+
+  /**
+   * Mark an option active (or none) and keep it scrolled into view.
+   * @param {HTMLElement|null} option
+   */
+  setActiveOption(option) {
+    this.getOptions().forEach((item) => {
+      item.classList.toggle('is-active', item === option);
+      item.setAttribute('aria-selected', String(item === option));
+    });
+
+    if (option) {
+      this.input.setAttribute('aria-activedescendant', option.id);
+      option.scrollIntoView({ block: 'nearest' });
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  announce(message) {
+    if (this.status) this.status.textContent = message;
+  }
+
   onInput() {
     const query = this.input.value.trim();
 
     if (this.debounceTimer) clearTimeout(this.debounceTimer);
 
     if (query.length < 2) {
-      this.clearResults();
+      this.showSuggestions();
+      return;
+    }
+
+    if (SearchDrawer.getCached(SearchDrawer.normalizeQuery(query))) {
+      this.fetchResults(query);
       return;
     }
 
@@ -150,19 +354,32 @@ class SearchDrawer extends HTMLElement {
 
   async fetchResults(query) {
     const currentRequest = ++this.requestId;
+    const cacheKey = SearchDrawer.normalizeQuery(query);
 
-    this.classList.add('is-loading');
+    this.abortController?.abort();
+    this.clearError();
 
-    try {
-      const url = `/search/suggest.json?q=${encodeURIComponent(query)}&resources[type]=product,article,page&resources[limit]=4`;
-      const response = await fetch(url, {
-        headers: { 'X-Requested-With': 'XMLHttpRequest' }
-      });
+    const cached = SearchDrawer.getCached(cacheKey);
+    if (cached) {
+      this.classList.remove('is-loading');
+      this.renderResponse(cached, query);
+      return;
+    }
 
-      if (!response.ok || currentRequest !== this.requestId) return;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    this.classList.add('is-loading');
 
-      const data = await response.json();
-      this.renderResults(data, query);
+    try {
+      const result = await this.loadResults(query, signal);
+      if (currentRequest !== this.requestId) return;
+
+      SearchDrawer.setCached(cacheKey, result);
+      this.renderResponse(result, query);
+    } catch (error) {
+      if (error.name === 'AbortError' || currentRequest !== this.requestId) return;
+      this.showError(query);
     } finally {
       if (currentRequest === this.requestId) {
         this.classList.remove('is-loading');
@@ -170,6 +387,162 @@ class SearchDrawer extends HTMLElement {
     }
   }
 
+  /**
+   * Fetch results through the section, falling back to JSON.
+   * @param {string} query
+   * @param {AbortSignal} signal
+   * @returns {Promise<{ html: string }|{ data: Object }>}
+   */
+  async loadResults(query, signal) {
+    const html = await this.fetchSectionResults(query, signal).catch((error) => {
+      if (error.name === 'AbortError') throw error;
+      return null;
+    });
+    if (html) return { html };
+
+    const response = await fetch(this.getSuggestUrl(query), {
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      signal
+    });
+    if (!response.ok) throw new Error(`Predictive search failed (${response.status})`);
+
+    return { data: await response.json() };
+  }
+
+  /**
+   * Fetch the results section's markup.
+   * @param {string} query
+   * @param {AbortSignal} signal
+   * @returns {Promise<string|null>} Its [data-predictive-search] root's HTML, or null
+   */
+  async fetchSectionResults(query, signal) {
+    const sectionId = this.dataset.resultsSection;
+    if (!sectionId) return null;
+
+    const response = await fetch(this.getSuggestUrl(query, sectionId), {
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      signal
+    });
+    if (!response.ok) return null;
+
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    return doc.querySelector('[data-predictive-search]')?.outerHTML || null;
+  }
+
+  /**
+   * Render a fresh or cached loadResults() result.
+   * @param {{ html: string }|{ data: Object }} result
+   * @param {string} query
+   */
+  renderResponse(result, query) {
+    if (result.html) {
+      const template = document.createElement('template');
+      template.innerHTML = result.html;
+      this.renderSectionResults(template.content.firstElementChild, query);
+    } else {
+      this.renderResults(result.data, query);
+    }
+  }
+
+  /**
+   * Replace the results with the error state; retried from [data-retry]
+   * or when the browser comes back online.
+   * @param {string} query
+   */
+  showError(query) {
+    this.clearResults();
+    this.failedQuery = query;
+
+    const message = navigator.onLine === false
+      ? this.dataset.offlineText
+      : this.dataset.errorText;
+
+    if (this.errorMessage) this.errorMessage.textContent = message || '';
+    if (this.errorContainer) this.errorContainer.hidden = false;
+    this.announce(message || '');
+  }
+
+  clearError() {
+    this.failedQuery = null;
+    if (this.errorContainer) this.errorContainer.hidden = true;
+  }
+
+  /**
+   * Insert server-rendered results, applying the drawer's order and
+   * limits (the section can't read this section's settings).
+   * @param {HTMLElement} root
+   * @param {string} query
+   */
+  renderSectionResults(root, query) {
+    const queries = root.querySelector('[data-query-suggestions]');
+    const viewAll = root.querySelector('.search-drawer-view-all');
+
+    if (queries) this.trimOptions(queries, this.getLimit('queries'));
+
+    this.getResourceOrder().forEach((type) => {
+      const group = root.querySelector(`[data-resource-type="${type}"]`);
+      if (!group) return;
+
+      this.trimOptions(group, this.getLimit(type));
+      root.insertBefore(group, viewAll);
+    });
+
+    const count = root.querySelectorAll('[data-resource-type] [role="option"]').length;
+    if (count === 0 && !queries) {
+      this.showNoResults(query);
+      return;
+    }
+
+    this.emptyContainer.hidden = true;
+    this.resultsContainer.replaceChildren(...root.childNodes);
+    this.resultsContainer
+      .querySelectorAll('.search-drawer-query, .search-drawer-result-title, .product-card-title')
+      .forEach((title) => {
+        title.innerHTML = this.highlight(title.textContent.trim(), query);
+      });
+
+    this.prepareOptions();
+    this.announceCount(count, query);
+  }
+
+  /**
+   * Remove a group's options beyond a limit; drops the group at 0.
+   * @param {HTMLElement} group
+   * @param {number} limit
+   */
+  trimOptions(group, limit) {
+    if (limit === 0) {
+      group.remove();
+      return;
+    }
+
+    Array.from(group.querySelectorAll('[role="option"]'))
+      .slice(limit)
+      .forEach((option) => option.remove());
+  }
+
+  /**
+   * @param {string} query
+   */
+  showNoResults(query) {
+    this.clearResults();
+    this.emptyContainer.hidden = false;
+    const template = this.dataset.noResultsTemplate || 'No results for "__TERMS__"';
+    this.emptyContainer.textContent = template.replace('__TERMS__', query);
+    this.announce(this.emptyContainer.textContent);
+  }
+
+  /**
+   * @param {number} count
+   * @param {string} query
+   */
+  announceCount(count, query) {
+    const countTemplate = count === 1 ? this.dataset.countOneTemplate : this.dataset.countOtherTemplate;
+    if (countTemplate) {
+      this.announce(countTemplate.replace('__COUNT__', count).replace('__TERMS__', query));
+    }
+  }
+
   renderResults(data, query) {
     const resources = data.resources?.results;
     if (!resources) {
@@ -177,57 +550,192 @@ class SearchDrawer extends HTMLElement {
       return;
     }
 
-    const products = resources.products || [];
-    const articles = resources.articles || [];
-    const pages = resources.pages || [];
+    const queries = (resources.queries || []).slice(0, this.getLimit('queries'));
+    const groups = this.getResourceOrder()
+      .map((type) => ({ type, items: (resources[type] || []).slice(0, this.getLimit(type)) }))
+      .filter((group) => group.items.length > 0);
 
-    if (products.length === 0 && articles.length === 0 && pages.length === 0) {
-      this.resultsContainer.innerHTML = '';
-      this.emptyContainer.hidden = false;
-      const template = this.dataset.noResultsTemplate || 'No results for "__TERMS__"';
-      this.emptyContainer.textContent = template.replace('__TERMS__', query);
+    if (groups.length === 0 && queries.length === 0) {
+      this.showNoResults(query);
       return;
     }
 
     this.emptyContainer.hidden = true;
     let html = '';
 
-    if (products.length > 0) {
-      html += this.renderGroup(
-        this.dataset.productsHeading || 'Products',
-        products.map(p => this.renderProductItem(p))
-      );
-    }
-
-    if (articles.length > 0) {
-      html += this.renderGroup(
-        this.dataset.articlesHeading || 'Articles',
-        articles.map(a => this.renderLinkItem(a.url, a.title))
-      );
+    if (queries.length > 0) {
+      html += this.renderQueries(queries, query);
     }
 
-    if (pages.length > 0) {
+    groups.forEach(({ type, items }) => {
       html += this.renderGroup(
-        this.dataset.pagesHeading || 'Pages',
-        pages.map(p => this.renderLinkItem(p.url, p.title))
+        this.dataset[`${type}Heading`] || type,
+        items.map((item) => this.renderResourceItem(type, item, query))
       );
-    }
+    });
 
     // "View all results" link
     const viewAllText = this.dataset.viewAllText || 'View all results';
-    html += `<a href="/search?q=${encodeURIComponent(query)}" class="search-drawer-view-all">${this.escapeHtml(viewAllText)}</a>`;
+    html += `<a href="/search?q=${encodeURIComponent(query)}" class="search-drawer-view-all" role="option" tabindex="-1">${this.escapeHtml(viewAllText)}</a>`;
 
     this.resultsContainer.innerHTML = html;
+    this.prepareOptions();
+
+    this.announceCount(groups.reduce((sum, group) => sum + group.items.length, 0), query);
+  }
+
+  /**
+   * Resource groups in the merchant's order (section setting).
+   * @returns {string[]}
+   */
+  getResourceOrder() {
+    const known = ['products', 'collections', 'articles', 'pages'];
+    const order = (this.dataset.resourceOrder || known.join(','))
+      .split(',')
+      .map((type) => type.trim())
+      .filter((type) => known.includes(type));
+
+    return order.length > 0 ? order : known;
+  }
+
+  /**
+   * Per-type result limit from the section settings; 0 turns a type off.
+   * @param {string} type - 'queries', 'products', 'collections', 'articles' or 'pages'
+   * @returns {number}
+   */
+  getLimit(type) {
+    const limit = parseInt(this.dataset[`limit${type.charAt(0).toUpperCase()}${type.slice(1)}`]);
+    return Number.isNaN(limit) ? 4 : limit;
+  }
+
+  /**
+   * The predictive search URL for a query: only enabled types, asking for
+   * the largest per-type limit (the API takes one limit for all types).
+   * JSON unless a section is given to render the results.
+   * @param {string} query
+   * @param {string} [sectionId]
+   * @returns {string}
+   */
+  getSuggestUrl(query, sectionId) {
+    const singular = { queries: 'query', products: 'product', collections: 'collection', articles: 'article', pages: 'page' };
+    const types = ['queries', ...this.getResourceOrder()].filter((type) => this.getLimit(type) > 0);
+    const limit = Math.min(10, Math.max(1, ...types.map((type) => this.getLimit(type))));
+
+    const params = new URLSearchParams({
+      q: query,
+      'resources[type]': types.map((type) => singular[type]).join(','),
+      'resources[limit]': limit,
+      'resources[limit_scope]': 'each'
+    });
+
+    if (sectionId) {
+      params.set('section_id', sectionId);
+      return `/search/suggest?${params}`;
+    }
+
+    return `/search/suggest.json?${params}`;
+  }
+
+  /**
+   * The suggestions row: completed queries as compact options.
+   * @param {Object[]} queries
+   * @param {string} query
+   * @returns {string}
+   */
+  renderQueries(queries, query) {
+    const items = queries.map((suggestion) => `<a href="${this.escapeHtml(suggestion.url)}" class="search-drawer-query" role="option" tabindex="-1"
+      data-search-term="${this.escapeHtml(suggestion.text)}">${this.highlight(suggestion.text, query)}</a>`);
+
+    return this.renderGroup(
+      this.dataset.queriesHeading || 'Suggestions',
+      [`<div class="search-drawer-queries" role="none">${items.join('')}</div>`]
+    );
+  }
+
+  /**
+   * @param {string} type
+   * @param {Object} item - A suggest.json resource
+   * @param {string} query
+   * @returns {string}
+   */
+  renderResourceItem(type, item, query) {
+    if (type === 'products') return this.renderProductItem(item, query);
+
+    const image = type === 'collections' ? item.featured_image?.url : null;
+    return this.renderLinkItem(item.url, item.title, query, image);
+  }
+
+  /**
+   * Show recent searches plus the merchant's suggestions in place of
+   * results, cancelling any search still in flight.
+   */
+  showSuggestions() {
+    this.requestId++;
+    this.abortController?.abort();
+    this.classList.remove('is-loading');
+    this.clearError();
+    this.clearResults();
+
+    const html = this.renderRecentGroup();
+    const suggestions = this.suggestionsTemplate?.content.cloneNode(true);
+
+    this.resultsContainer.innerHTML = html;
+    if (suggestions) this.resultsContainer.appendChild(suggestions);
+
+    if (this.getOptions().length > 0) this.prepareOptions();
+  }
+
+  renderRecentGroup() {
+    const recent = SearchDrawer.getRecent();
+    if (recent.length === 0) return '';
+
+    const removeTemplate = this.dataset.removeRecentTemplate || 'Remove "__TERMS__"';
+    const items = recent.map((term) => `<div class="search-drawer-recent-item" role="none">
+      <a href="/search?q=${encodeURIComponent(term)}" class="search-drawer-result-item" role="option" tabindex="-1"
+        data-search-term="${this.escapeHtml(term)}" data-recent aria-describedby="search-drawer-recent-hint">
+        <span class="search-drawer-result-info">
+          <span class="search-drawer-result-title">${this.escapeHtml(term)}</span>
+        </span>
+      </a>
+      <button type="button" class="search-drawer-recent-remove" tabindex="-1"
+        data-remove-recent="${this.escapeHtml(term)}"
+        aria-label="${this.escapeHtml(removeTemplate.replace('__TERMS__', term))}">&times;</button>
+    </div>`);
+
+    items.push(`<div class="search-drawer-clear-recent" role="option" tabindex="-1" data-clear-recent>
+      ${this.escapeHtml(this.dataset.clearRecentText || 'Clear recent searches')}
+    </div>`);
+
+    return this.renderGroup(this.dataset.recentHeading || 'Recent searches', items);
+  }
+
+  /**
+   * Give the listbox's options ids for aria-activedescendant and mark the
+   * combobox expanded.
+   */
+  prepareOptions() {
+    this.getOptions().forEach((option, i) => {
+      option.id = `search-drawer-option-${i}`;
+      option.setAttribute('aria-selected', 'false');
+      // Links inside card options stay out of the Tab order too
+      option.querySelectorAll('a, button').forEach((control) => {
+        control.tabIndex = -1;
+      });
+    });
+    this.input.setAttribute('aria-expanded', 'true');
+    this.input.removeAttribute('aria-activedescendant');
   }
 
   renderGroup(heading, itemsHtml) {
-    return `<div class="search-drawer-results-group">
-      <h3 class="search-drawer-results-heading">${this.escapeHtml(heading)}</h3>
+    const headingId = `search-drawer-group-${++this.groupCount}`;
+
+    return `<div class="search-drawer-results-group" role="group" aria-labelledby="${headingId}">
+      <h3 class="search-drawer-results-heading" id="${headingId}" role="presentation">${this.escapeHtml(heading)}</h3>
       ${itemsHtml.join('')}
     </div>`;
   }
 
-  renderProductItem(product) {
+  renderProductItem(product, query) {
     const imageHtml = product.image
       ? `<img class="search-drawer-result-image" src="${this.escapeHtml(product.image)}" alt="" width="48" height="48" loading="lazy">`
       : '';
@@ -236,19 +744,24 @@ class SearchDrawer extends HTMLElement {
       ? `<span class="search-drawer-result-price">${this.escapeHtml(product.price)}</span>`
       : '';
 
-    return `<a href="${this.escapeHtml(product.url)}" class="search-drawer-result-item">
+    return `<a href="${this.escapeHtml(product.url)}" class="search-drawer-result-item" role="option" tabindex="-1">
       ${imageHtml}
       <span class="search-drawer-result-info">
-        <span class="search-drawer-result-title">${this.escapeHtml(product.title)}</span>
+        <span class="search-drawer-result-title">${this.highlight(product.title, query)}</span>
         ${priceHtml}
       </span>
     </a>`;
   }
 
-  renderLinkItem(url, title) {
-    return `<a href="${this.escapeHtml(url)}" class="search-drawer-result-item">
+  renderLinkItem(url, title, query, image) {
+    const imageHtml = image
+      ? `<img class="search-drawer-result-image" src="${this.escapeHtml(image)}" alt="" width="48" height="48" loading="lazy">`
+      : '';
+
+    return `<a href="${this.escapeHtml(url)}" class="search-drawer-result-item" role="option" tabindex="-1">
+      ${imageHtml}
       <span class="search-drawer-result-info">
-        <span class="search-drawer-result-title">${this.escapeHtml(title)}</span>
+        <span class="search-drawer-result-title">${this.highlight(title, query)}</span>
       </span>
     </a>`;
   }
@@ -256,12 +769,134 @@ class SearchDrawer extends HTMLElement {
   clearResults() {
     this.resultsContainer.innerHTML = '';
     this.emptyContainer.hidden = true;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+    this.announce('');
+  }
+
+  /**
+   * Escape text and wrap every occurrence of the query's words in <mark>.
+   * @param {string} text
+   * @param {string} query
+   * @returns {string}
+   */
+  highlight(text, query) {
+    const terms = query.split(/\s+/)
+      .filter(Boolean)
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (terms.length === 0) return this.escapeHtml(text);
+
+    // split() with a capture group puts the matches at the odd indexes
+    return text
+      .split(new RegExp(`(${terms.join('|')})`, 'gi'))
+      .map((part, i) => (i % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+      .join('');
   }
 
   escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Cache key for a query: "Oak  Chair " and "oak chair" share results.
+   * @param {string} query
+   * @returns {string}
+   */
+  static normalizeQuery(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * @returns {Array<[string, Object]>} Cached [query, result] pairs, oldest first
+   */
+  static readCache() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SearchDrawer.cacheKey)) || [];
+    } catch {
+      // Storage unavailable or the entry is corrupt: start with an empty cache
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} key - Normalized query
+   * @returns {Object|null}
+   */
+  static getCached(key) {
+    if (Shopify.designMode) return null;
+
+    const entry = SearchDrawer.readCache().find(([query]) => query === key);
+    return entry ? entry[1] : null;
+  }
+
+  /**
+   * Store a result as the newest entry, dropping the oldest past cacheSize.
+   * @param {string} key - Normalized query
+   * @param {Object} result
+   */
+  static setCached(key, result) {
+    if (Shopify.designMode) return;
+
+    const cache = SearchDrawer.readCache().filter(([query]) => query !== key);
+    cache.push([key, result]);
+
+    try {
+      sessionStorage.setItem(
+        SearchDrawer.cacheKey,
+        JSON.stringify(cache.slice(-SearchDrawer.cacheSize))
+      );
+    } catch {
+      // Storage unavailable or full: results just aren't cached
+    }
+  }
+
+  /**
+   * @returns {string[]} Recent searches, newest first
+   */
+  static getRecent() {
+    try {
+      return JSON.parse(localStorage.getItem(SearchDrawer.storageKey)) || [];
+    } catch {
+      // Storage unavailable or the entry is corrupt: no recent searches
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} term
+   */
+  static rememberRecent(term) {
+    if (!term || term.length < 2) return;
+
+    const recent = SearchDrawer.getRecent()
+      .filter((item) => item.toLowerCase() !== term.toLowerCase());
+    recent.unshift(term);
+
+    SearchDrawer.saveRecent(recent.slice(0, SearchDrawer.maxRecent));
+  }
+
+  /**
+   * @param {string} term
+   */
+  static forgetRecent(term) {
+    SearchDrawer.saveRecent(SearchDrawer.getRecent().filter((item) => item !== term));
+  }
+
+  static clearRecent() {
+    SearchDrawer.saveRecent([]);
+  }
+
+  /**
+   * @param {string[]} recent
+   */
+  static saveRecent(recent) {
+    try {
+      localStorage.setItem(SearchDrawer.storageKey, JSON.stringify(recent));
+    } catch {
+      // Storage unavailable (private mode, quota): recent searches aren't kept
+    }
   }
 }
 
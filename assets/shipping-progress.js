@@ -0,0 +1,63 @@
+/**
+ * Shipping Progress Web Component
+ *
+ * Shows how far the cart is from the free-shipping threshold. The threshold
+ * is set in theme settings in the shop's currency (data-threshold, cents)
+ * and converted with Shopify.currency.rate for the active presentment
+ * currency. Renders from the cart store's JSON on connect and again on
+ * every store change — including QuickAdd adds from upsell cards — so it
+ * never fetches the cart itself.
+ *
+ * Must live outside the regions the cart drawer and cart page swap on
+ * update, so the fill animates between values instead of restarting.
+ *
+ * Expected markup:
+ *   <shipping-progress data-threshold="10000"
+ *     data-remaining-template="You're __AMOUNT__ away from free shipping"
+ *     data-reached-text="You've unlocked free shipping">
+ *     <p data-message aria-live="polite"></p>
+ *     <div role="progressbar" aria-valuemin="0" aria-valuemax="100" data-track>
+ *       <div data-fill></div>
+ *     </div>
+ *   </shipping-progress>
+ */
+class ShippingProgress extends HTMLElement {
+  connectedCallback() {
+    this.message = this.querySelector('[data-message]');
+    this.track = this.querySelector('[data-track]');
+    this.fill = this.querySelector('[data-fill]');
+
+    const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+    this.threshold = Math.round((parseInt(this.dataset.threshold) || 0) * rate);
+
+    this._unsubscribe = window.cartStore.subscribe(({ cart }) => this.render(cart));
+    this.render(window.cartStore.cart);
+  }
+
+  disconnectedCallback() {
+    this._unsubscribe?.();
+  }
+
+  /**
+   * Update the bar, its ARIA value and the message for a cart.
+   * @param {Object} cart - Cart JSON from the cart store.
+   */
+  render(cart) {
+    if (!cart || !this.threshold) return;
+
+    const remaining = Math.max(0, this.threshold - cart.total_price);
+    const progress = Math.min(1, cart.total_price / this.threshold);
+
+    this.fill?.style.setProperty('--progress', progress);
+    this.track?.setAttribute('aria-valuenow', Math.round(progress * 100));
+    this.classList.toggle('is-reached', remaining === 0);
+
+    if (this.message) {
+      this.message.textContent = remaining === 0
+        ? this.dataset.reachedText
+        : this.dataset.remainingTemplate.replace('__AMOUNT__', window.cartStore.formatMoney(remaining));
+    }
+  }
+}
+
+customElements.define('shipping-progress', ShippingProgress);